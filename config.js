@@ -5,7 +5,13 @@
 
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
+import { readFileSync } from 'fs';
+import FilterExpression from './modules/filterExpression.js';
+import MessageTemplate, { formatDate } from './modules/messageTemplate.js';
+import { parseSchedule } from './modules/digest.js';
+import { CLASSIFIER_MODES } from './modules/jobClassifier.js';
+import { compileWeightedKeyword, normalizeKeyword } from './modules/keywordMatcher.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -21,12 +27,16 @@ function validateConfig() {
     'API_ID',
     'API_HASH',
     'BOT_TOKEN',
-    'SOURCE_CHANNEL',
     'TARGET_CHANNEL'
   ];
 
   const missing = required.filter(key => !process.env[key]);
 
+  // At least one source channel must be configured
+  if (parseSourceChannels().length === 0) {
+    missing.push('SOURCE_CHANNELS');
+  }
+
   if (missing.length > 0) {
     throw new Error(
       `Missing required environment variables: ${missing.join(', ')}\n` +
@@ -35,6 +45,25 @@ function validateConfig() {
   }
 }
 
+/**
+ * Normalize a keyword list and check that every keyword compiles
+ */
+function validateKeywords(keywords, label) {
+  const normalized = keywords
+    .map(normalizeKeyword)
+    .filter(k => k.length > 0);
+
+  for (const keyword of normalized) {
+    try {
+      compileWeightedKeyword(keyword);
+    } catch (error) {
+      throw new Error(`Invalid keyword in ${label}: ${error.message}`);
+    }
+  }
+
+  return normalized;
+}
+
 /**
  * Parse keywords from environment variable
  */
@@ -42,10 +71,332 @@ function parseKeywords() {
   const keywordsEnv = process.env.JOB_KEYWORDS || 
     'developer,flutter,react,backend,frontend,software,engineer,programmer,coder';
   
-  return keywordsEnv
+  return validateKeywords(keywordsEnv.split(','), 'JOB_KEYWORDS');
+}
+
+/**
+ * Parse per-language keyword lists from JOB_KEYWORDS_<LANG> variables (e.g. JOB_KEYWORDS_AM)
+ * Returns { am: [...], ru: [...] }
+ */
+function parseLanguageKeywords() {
+  const languageKeywords = {};
+
+  for (const [key, value] of Object.entries(process.env)) {
+    const match = key.match(/^JOB_KEYWORDS_([A-Z]{2,3})$/);
+    if (!match || !value) {
+      continue;
+    }
+
+    const keywords = validateKeywords(value.split(','), key);
+    if (keywords.length > 0) {
+      languageKeywords[match[1].toLowerCase()] = keywords;
+    }
+  }
+
+  return languageKeywords;
+}
+
+/**
+ * Parse the score a post needs to match (MATCH_THRESHOLD)
+ * Must be positive, otherwise posts without any keyword would match
+ */
+function parseMatchThreshold() {
+  const value = process.env.MATCH_THRESHOLD || '1';
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold <= 0) {
+    throw new Error(`Invalid MATCH_THRESHOLD "${value}" (expected a positive number)`);
+  }
+  return threshold;
+}
+
+/**
+ * Parse the port of the health and metrics server (HEALTH_PORT)
+ * Returns null when unset, which leaves the server off
+ */
+function parseHealthPort() {
+  const value = process.env.HEALTH_PORT;
+  if (!value) {
+    return null;
+  }
+
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid HEALTH_PORT "${value}" (expected a port number from 1 to 65535)`);
+  }
+  return port;
+}
+
+/**
+ * Validate a boolean filter expression so mistakes surface at startup
+ * Returns the expression text, or null when none is set
+ */
+function parseFilterExpression(value, label) {
+  if (!value || !value.trim()) {
+    return null;
+  }
+
+  try {
+    return new FilterExpression(value).source;
+  } catch (error) {
+    throw new Error(`Invalid ${label}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse source channels from environment variables
+ * SOURCE_CHANNELS takes a comma-separated list, SOURCE_CHANNEL is kept for single-channel setups
+ */
+function parseSourceChannels() {
+  const channelsEnv = process.env.SOURCE_CHANNELS || process.env.SOURCE_CHANNEL || '';
+
+  const channels = channelsEnv
     .split(',')
-    .map(k => k.trim().toLowerCase())
-    .filter(k => k.length > 0);
+    .map(c => c.trim().replace(/^@/, '')) // Remove @ if present
+    .filter(c => c.length > 0);
+
+  // Drop duplicates while keeping the configured order
+  return [...new Set(channels)];
+}
+
+/**
+ * Parse a numeric setting from an environment variable, so a typo fails at startup instead of becoming NaN
+ * @param {string} name - Environment variable
+ * @param {string} defaultValue - Used when the variable is unset
+ * @param {Object} options
+ * @param {boolean} options.integer - Only accept whole numbers
+ * @param {number} options.min - Smallest value, 0 is rejected too when unset
+ * @param {number} options.max - Largest value
+ */
+function parseNumber(name, defaultValue, { integer = false, min, max = Infinity } = {}) {
+  const value = process.env[name] || defaultValue;
+  const number = Number(value);
+  const inRange = min === undefined ? number > 0 : number >= min;
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) || !inRange || number > max) {
+    const kind = integer ? 'a whole number' : 'a number';
+    const range = min === undefined ? 'greater than 0' : max < Infinity ? `from ${min} to ${max}` : `of ${min} or more`;
+    throw new Error(`Invalid ${name} "${value}" (expected ${kind} ${range})`);
+  }
+  return number;
+}
+
+/**
+ * Parse a comma-separated list of Telegram user IDs from an environment variable
+ */
+function parseUserIds(name) {
+  const ids = (process.env[name] || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => id.length > 0);
+
+  const invalid = ids.filter(id => !/^\d+$/.test(id));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid ${name}: ${invalid.join(', ')} (expected numeric Telegram user IDs)`);
+  }
+
+  return ids.map(Number);
+}
+
+/**
+ * Normalize a list of target chats (string or array) from a routing rule
+ */
+function toTargetList(value) {
+  const targets = Array.isArray(value) ? value : [value];
+  return targets
+    .filter(t => t !== undefined && t !== null)
+    .map(t => String(t).trim())
+    .filter(t => t.length > 0);
+}
+
+/**
+ * Load routing rules from the JSON file named by ROUTING_RULES_FILE
+ *
+ * File format:
+ * {
+ *   "rules": [
+ *     { "name": "mobile", "keywords": ["flutter", "mobile"], "targets": ["-1001234567890"], "fallback": "@jobs" },
+ *     { "name": "web", "expression": "(react OR vue) AND remote", "targets": ["-1009876543210"] }
+ *   ]
+ * }
+ */
+function parseRoutingRules() {
+  const rulesFile = process.env.ROUTING_RULES_FILE;
+  if (!rulesFile) {
+    return [];
+  }
+
+  const rulesPath = resolve(__dirname, rulesFile);
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(rulesPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not load routing rules from ${rulesPath}: ${error.message}`);
+  }
+
+  const rules = Array.isArray(parsed) ? parsed : parsed.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error(`Routing rules file ${rulesPath} must contain a "rules" array`);
+  }
+
+  return rules.map((rule, index) => {
+    const name = rule.name || `rule #${index + 1}`;
+
+    const keywords = validateKeywords(
+      Array.isArray(rule.keywords) ? rule.keywords : [],
+      `routing rule "${name}"`
+    );
+    const expression = parseFilterExpression(rule.expression, `expression in routing rule "${name}"`);
+    if (keywords.length === 0 && !expression) {
+      throw new Error(`Routing rule "${name}" must define a non-empty "keywords" list or an "expression"`);
+    }
+
+    const targets = toTargetList(rule.targets ?? rule.target);
+    if (targets.length === 0) {
+      throw new Error(`Routing rule "${name}" must define at least one target in "targets"`);
+    }
+
+    const [fallback = null] = toTargetList(rule.fallback);
+
+    return { name, keywords, expression, targets, fallback };
+  });
+}
+
+/**
+ * Load message templates from the JSON file named by TEMPLATES_FILE
+ *
+ * File format (see messageTemplate.js for the template syntax):
+ * {
+ *   "default": { "parseMode": "HTML", "timezone": "Africa/Addis_Ababa", "dateFormat": "DD MMM YYYY, HH:mm",
+ *                "text": ["<b>{{title}}</b>", "{{text}}", "<a href=\"{{link}}\">Original post</a>"] },
+ *   "chats": {
+ *     "-1001234567890": { "parseMode": "MarkdownV2", "text": "*{{title}}*\n{{text}}" }
+ *   }
+ * }
+ * Chats without a template (and all chats, without a file) get the built-in format
+ */
+function parseTemplates() {
+  const templatesFile = process.env.TEMPLATES_FILE;
+  if (!templatesFile) {
+    return { default: null, chats: {} };
+  }
+
+  const templatesPath = resolve(__dirname, templatesFile);
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(templatesPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not load message templates from ${templatesPath}: ${error.message}`);
+  }
+
+  const validate = (spec, label) => {
+    try {
+      new MessageTemplate(spec);
+      return spec;
+    } catch (error) {
+      throw new Error(`Invalid template ${label} in ${templatesPath}: ${error.message}`);
+    }
+  };
+
+  const chats = {};
+  for (const [chat, spec] of Object.entries(parsed.chats || {})) {
+    chats[chat] = validate(spec, `for chat ${chat}`);
+  }
+
+  return {
+    default: parsed.default ? validate(parsed.default, '"default"') : null,
+    chats
+  };
+}
+
+/**
+ * Parse the classifier mode (CLASSIFIER_MODE), null when the classifier is off
+ */
+function parseClassifierMode() {
+  const mode = (process.env.CLASSIFIER_MODE || 'off').trim().toLowerCase();
+  if (mode === 'off') {
+    return null;
+  }
+  if (!CLASSIFIER_MODES.includes(mode)) {
+    throw new Error(`Invalid CLASSIFIER_MODE "${mode}" (expected off, ${CLASSIFIER_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Parse the classifier's job probability threshold for gate mode (CLASSIFIER_THRESHOLD)
+ */
+function parseClassifierThreshold() {
+  const value = process.env.CLASSIFIER_THRESHOLD || '0.5';
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new Error(`Invalid CLASSIFIER_THRESHOLD "${value}" (expected a probability from 0 to 1)`);
+  }
+  return threshold;
+}
+
+/**
+ * Parse the max score the classifier adds or removes in boost mode (CLASSIFIER_BOOST)
+ */
+function parseClassifierBoost() {
+  const value = process.env.CLASSIFIER_BOOST || '2';
+  const boost = Number(value);
+  if (!Number.isFinite(boost) || boost < 0) {
+    throw new Error(`Invalid CLASSIFIER_BOOST "${value}" (expected a number of 0 or more)`);
+  }
+  return boost;
+}
+
+/**
+ * Parse the posts of each label the classifier needs before it's used (CLASSIFIER_MIN_EXAMPLES)
+ */
+function parseClassifierMinExamples() {
+  const value = process.env.CLASSIFIER_MIN_EXAMPLES || '10';
+  const minExamples = Number(value);
+  if (!Number.isInteger(minExamples) || minExamples < 1) {
+    throw new Error(`Invalid CLASSIFIER_MIN_EXAMPLES "${value}" (expected a whole number of 1 or more)`);
+  }
+  return minExamples;
+}
+
+/**
+ * Parse the users allowed to vote on forwarded posts (FEEDBACK_USER_IDS), the admins by default
+ */
+function parseFeedbackUserIds() {
+  const ids = parseUserIds('FEEDBACK_USER_IDS');
+  return ids.length > 0 ? ids : parseUserIds('ADMIN_USER_IDS');
+}
+
+/**
+ * Parse the users allowed to search from the bot (SEARCH_USER_IDS), the admins and listed subscribers by default
+ * Search exposes every stored post, so it is never open to anyone
+ */
+function parseSearchUserIds(enabled) {
+  let ids = parseUserIds('SEARCH_USER_IDS');
+  if (ids.length === 0) {
+    ids = [...new Set([...parseUserIds('ADMIN_USER_IDS'), ...parseUserIds('SUBSCRIBER_USER_IDS')])];
+  }
+
+  if (enabled && ids.length === 0) {
+    throw new Error('SEARCH_ENABLED=true needs SEARCH_USER_IDS, ADMIN_USER_IDS or SUBSCRIBER_USER_IDS to allow users to search');
+  }
+  return ids;
+}
+
+/**
+ * Parse the digest schedule (DIGEST_SCHEDULE) and its timezone (DIGEST_TIMEZONE)
+ */
+function parseDigestSchedule() {
+  const timezone = process.env.DIGEST_TIMEZONE || 'UTC';
+  try {
+    formatDate(new Date(), 'HH:mm', timezone);
+  } catch (error) {
+    throw new Error(`Invalid DIGEST_TIMEZONE "${timezone}"`);
+  }
+
+  try {
+    return { schedule: parseSchedule(process.env.DIGEST_SCHEDULE), timezone };
+  } catch (error) {
+    throw new Error(`Invalid DIGEST_SCHEDULE: ${error.message}`);
+  }
 }
 
 // Validate on load
@@ -59,21 +410,106 @@ export default {
 
   // Bot configuration
   botToken: process.env.BOT_TOKEN,
+  sendRate: {
+    perChatPerMinute: parseNumber('SEND_RATE_PER_CHAT', '20'), // Telegram allows about 20/min in groups and channels
+    globalPerSecond: parseNumber('SEND_RATE_GLOBAL', '25'), // Telegram allows about 30/s in total
+    maxRetries: parseNumber('SEND_MAX_RETRIES', '3', { integer: true, min: 0 }) // Retries of sends rejected with 429 retry_after
+  },
+  templates: parseTemplates(), // Message templates per target chat, { default, chats }
+  inlineButtons: process.env.INLINE_BUTTONS !== 'false', // "View original" and "Apply" buttons on forwarded posts
+  adminUserIds: parseUserIds('ADMIN_USER_IDS'), // Users allowed to run admin commands, commands are off when empty
+
+  // Personal job alerts (users DM the bot to subscribe)
+  subscriptions: {
+    enabled: process.env.SUBSCRIPTIONS_ENABLED === 'true',
+    allowedUserIds: parseUserIds('SUBSCRIBER_USER_IDS'), // Empty: anyone can subscribe
+    maxPerUser: parseNumber('MAX_SUBSCRIPTIONS_PER_USER', '10', { integer: true })
+  },
+
+  // Full-text search of matched jobs from the bot (/search in DMs, inline queries)
+  search: {
+    enabled: process.env.SEARCH_ENABLED === 'true',
+    allowedUserIds: parseSearchUserIds(process.env.SEARCH_ENABLED === 'true')
+  },
 
   // Channel configuration
-  sourceChannel: process.env.SOURCE_CHANNEL.replace('@', ''), // Remove @ if present
-  targetChannel: process.env.TARGET_CHANNEL,
+  sourceChannels: parseSourceChannels(),
+  targetChannel: process.env.TARGET_CHANNEL, // Default target for posts no routing rule claims
+
+  // Routing configuration
+  routingRules: parseRoutingRules(),
 
   // Filtering configuration
-  keywords: parseKeywords(),
+  keywords: parseKeywords(), // Optionally weighted, e.g. react:3,sales:-5
+  matchThreshold: parseMatchThreshold(), // Keyword score a post needs to match
+  languageKeywords: parseLanguageKeywords(),
+  detectLanguage: process.env.DETECT_LANGUAGE === 'true',
+  filterExpression: parseFilterExpression(process.env.FILTER_EXPRESSION, 'FILTER_EXPRESSION'),
+
+  // Learned classifier next to the keyword filter, trained from 👍/👎 feedback and a labelled JSONL file
+  classifier: {
+    mode: parseClassifierMode(), // gate, boost or suggest; null when off
+    modelPath: resolve(__dirname, process.env.CLASSIFIER_MODEL_PATH || join('storage', 'classifier.json')),
+    trainingFile: process.env.CLASSIFIER_TRAINING_FILE ? resolve(__dirname, process.env.CLASSIFIER_TRAINING_FILE) : null,
+    threshold: parseClassifierThreshold(), // Job probability 0-1 a post needs in gate mode
+    boostWeight: parseClassifierBoost(), // Max score added/removed in boost mode
+    minExamples: parseClassifierMinExamples(), // Posts of each label before it's used
+    feedbackUserIds: parseFeedbackUserIds() // Users whose 👍/👎 votes are learned
+  },
+
+  // Media forwarding (photos, documents and albums are downloaded and re-uploaded)
+  media: {
+    enabled: process.env.FORWARD_MEDIA === 'true',
+    maxSizeBytes: parseNumber('MAX_MEDIA_SIZE_MB', '20') * 1024 * 1024 // Convert to bytes
+  },
+
+  // Outbox: failed deliveries are retried with backoff, then moved to the dead letters
+  outbox: {
+    maxAttempts: parseNumber('OUTBOX_MAX_ATTEMPTS', '5', { integer: true }),
+    retryDelayMs: parseNumber('OUTBOX_RETRY_DELAY', '30') * 1000 // Convert to milliseconds, doubles per attempt
+  },
+
+  // Edit/delete sync: copies in target chats follow edits and deletions of their source posts
+  sync: {
+    enabled: process.env.SYNC_EDITS === 'true',
+    deleteMode: process.env.DELETE_MODE === 'delete' ? 'delete' : 'mark', // 'mark' copies as closed, or 'delete' them
+    windowMs: parseNumber('SYNC_WINDOW_HOURS', '72') * 60 * 60 * 1000, // Convert to milliseconds
+    interval: parseNumber('SYNC_INTERVAL', '300') * 1000 // Checks for missed edits/deletions, in milliseconds
+  },
+
+  // Digest mode: matches are collected and sent as periodic summaries instead of one by one
+  digest: {
+    enabled: process.env.DIGEST_MODE === 'true',
+    ...parseDigestSchedule() // "hourly", "daily" or times like "09:00,18:00", in DIGEST_TIMEZONE
+  },
+
+  // Near-duplicate detection (reposts and cross-posts)
+  duplicateDetection: {
+    enabled: process.env.DUPLICATE_DETECTION === 'true',
+    threshold: parseNumber('DUPLICATE_THRESHOLD', '0.8', { min: 0, max: 1 }), // Similarity 0-1
+    windowMs: parseNumber('DUPLICATE_WINDOW_HOURS', '72') * 60 * 60 * 1000 // Convert to milliseconds
+  },
 
   // Polling configuration
-  pollInterval: parseInt(process.env.POLL_INTERVAL || '30', 10) * 1000, // Convert to milliseconds
+  pollInterval: parseNumber('POLL_INTERVAL', '30') * 1000, // Convert to milliseconds
+  realtime: process.env.REALTIME === 'true', // Process posts as MTProto update events arrive
+  catchUpInterval: parseNumber('CATCHUP_INTERVAL', '300') * 1000, // Safety-net polls in real-time mode
+  initialScanLimit: parseNumber('INITIAL_SCAN_LIMIT', '50', { integer: true }), // Messages scanned when a channel has no saved cursor
+  backfillLimit: parseNumber('BACKFILL_LIMIT', '500', { integer: true }), // Max messages fetched per channel per poll/backfill
+
+  // Health checks and Prometheus metrics over HTTP (/healthz, /readyz, /metrics)
+  health: {
+    port: parseHealthPort(), // Server is off when unset
+    host: process.env.HEALTH_HOST || '127.0.0.1' // 0.0.0.0 to accept connections from other hosts/containers
+  },
 
   // Logging configuration
   logLevel: process.env.LOG_LEVEL || 'info',
 
-  // Storage path
-  storagePath: join(__dirname, 'storage', 'processed-messages.json')
+  // Storage configuration
+  storageBackend: process.env.STORAGE_BACKEND === 'json' ? 'json' : 'sqlite',
+  storagePath: join(__dirname, 'storage', 'processed-messages.json'), // JSON backend, imported once by SQLite
+  sqlitePath: resolve(__dirname, process.env.SQLITE_PATH || join('storage', 'scraper.db')),
+  storageRetentionMs: parseNumber('STORAGE_RETENTION_DAYS', '90') * 24 * 60 * 60 * 1000 // Convert to milliseconds
 };
 
@@ -1,6 +1,6 @@
 /**
  * Main entry point for Telegram Job Scraper
- * Monitors a Telegram channel for job posts and forwards filtered posts via bot
+ * Monitors Telegram channels for job posts and forwards filtered posts via bot
  */
 
 import config from './config.js';
@@ -8,7 +8,25 @@ import logger from './utils/logger.js';
 import TelegramChannelClient from './modules/telegramClient.js';
 import BotHandler from './modules/botHandler.js';
 import JobFilter from './modules/jobFilter.js';
-import MessageStorage from './utils/storage.js';
+import MessageRouter from './modules/messageRouter.js';
+import JobParser from './modules/jobParser.js';
+import DuplicateDetector from './modules/duplicateDetector.js';
+import AdminCommands from './modules/adminCommands.js';
+import SubscriptionManager from './modules/subscriptionManager.js';
+import Outbox from './modules/outbox.js';
+import CopySync from './modules/copySync.js';
+import Digest from './modules/digest.js';
+import JobClassifier from './modules/jobClassifier.js';
+import JobSearch from './modules/jobSearch.js';
+import HealthServer from './modules/healthServer.js';
+import { getMessageParts, groupAlbums } from './modules/media.js';
+import { createStorage } from './utils/storage.js';
+
+// How often due outbox entries are looked for
+const OUTBOX_CHECK_INTERVAL = 15 * 1000;
+
+// How often the digest schedule is checked
+const DIGEST_CHECK_INTERVAL = 60 * 1000;
 
 /**
  * Main application class
@@ -18,11 +36,41 @@ class JobScraperApp {
     this.telegramClient = null;
     this.botHandler = null;
     this.jobFilter = null;
+    this.classifier = null;
+    this.router = null;
+    this.jobParser = new JobParser();
+    this.duplicateDetector = null;
+    this.subscriptions = null;
+    this.search = null;
+    this.outbox = null;
+    this.copySync = null;
+    this.digest = null;
     this.storage = null;
     this.isRunning = false;
+    this.isPaused = false;
     this.pollInterval = null;
+    this.outboxInterval = null;
+    this.syncInterval = null;
+    this.digestInterval = null;
+    this.healthServer = null;
+    this.queue = Promise.resolve(); // Serializes polls and real-time updates
+    this.isPollQueued = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
+    this.stats = {
+      startedAt: Date.now(),
+      lastPollAt: null,
+      lastPollDurationMs: 0,
+      pollDurationMs: 0, // Sum over all completed polls
+      polls: 0,
+      pollErrors: 0,
+      reconnects: 0,
+      messagesSeen: 0,
+      matched: 0,
+      forwarded: 0,
+      duplicates: 0,
+      failed: 0
+    };
   }
 
   /**
@@ -32,17 +80,64 @@ class JobScraperApp {
     try {
       logger.info('🚀 Initializing Telegram Job Scraper...');
       logger.info(`📋 Configuration:`);
-      logger.info(`   Source Channel: ${config.sourceChannel}`);
+      logger.info(`   Source Channels: ${config.sourceChannels.join(', ')}`);
       logger.info(`   Target Channel: ${config.targetChannel}`);
-      logger.info(`   Keywords: ${config.keywords.length} keywords`);
-      logger.info(`   Poll Interval: ${config.pollInterval / 1000}s`);
+      logger.info(`   Routing Rules: ${config.routingRules.length} rule(s)`);
+      logger.info(`   Keywords: ${config.keywords.length} keywords, match threshold ${config.matchThreshold}`);
+      for (const [language, keywords] of Object.entries(config.languageKeywords)) {
+        logger.info(`   Keywords (${language}): ${keywords.length} keywords`);
+      }
+      if (config.filterExpression) {
+        logger.info(`   Filter Expression: ${config.filterExpression}`);
+      }
+      if (config.realtime) {
+        logger.info(`   Mode: real-time updates, catch-up poll every ${config.catchUpInterval / 1000}s`);
+      } else {
+        logger.info(`   Poll Interval: ${config.pollInterval / 1000}s`);
+      }
 
       // Initialize storage
-      this.storage = new MessageStorage(config.storagePath);
+      this.storage = await createStorage({
+        backend: config.storageBackend,
+        storagePath: config.storagePath,
+        sqlitePath: config.sqlitePath,
+        legacyChannel: config.sourceChannels[0],
+        retentionMs: config.storageRetentionMs
+      });
       logger.info(`📦 Storage initialized (${this.storage.getCount()} processed messages)`);
 
-      // Initialize job filter
-      this.jobFilter = new JobFilter(config.keywords);
+      // Initialize outbox for failed deliveries
+      this.outbox = new Outbox(this.storage, config.outbox);
+
+      // Initialize the learned classifier, trained from team feedback
+      if (config.classifier.mode) {
+        this.classifier = new JobClassifier(this.storage, config.classifier);
+      }
+
+      // Initialize job filter (keywords changed through admin commands override the .env list)
+      const storedKeywords = this.storage.getSetting('keywords');
+      if (storedKeywords) {
+        logger.warn(
+          `🔑 Using the ${storedKeywords.length} keywords saved with /addkeyword and /removekeyword instead of ` +
+          'JOB_KEYWORDS, /resetkeywords goes back to JOB_KEYWORDS'
+        );
+      }
+      const keywords = storedKeywords || config.keywords;
+      this.jobFilter = new JobFilter(keywords, {
+        threshold: config.matchThreshold,
+        classifier: this.classifier,
+        expression: config.filterExpression,
+        languageKeywords: config.languageKeywords,
+        detectLanguage: config.detectLanguage
+      });
+
+      // Initialize duplicate detection
+      if (config.duplicateDetection.enabled) {
+        this.duplicateDetector = new DuplicateDetector(this.storage, config.duplicateDetection);
+      }
+
+      // Initialize message router
+      this.router = new MessageRouter(config.routingRules, config.targetChannel);
 
       // Initialize Telegram client
       this.telegramClient = new TelegramChannelClient(
@@ -53,9 +148,43 @@ class JobScraperApp {
       await this.telegramClient.connect();
 
       // Initialize bot handler
-      this.botHandler = new BotHandler(config.botToken);
+      this.botHandler = new BotHandler(config.botToken, {
+        sendRate: config.sendRate,
+        templates: config.templates,
+        inlineButtons: config.inlineButtons,
+        feedbackButtons: Boolean(this.classifier?.hasFeedback())
+      });
       await this.botHandler.initialize();
 
+      // Keep copies in target chats in sync with edits and deletions of their source posts
+      if (config.sync.enabled) {
+        this.copySync = new CopySync(this.storage, this.botHandler, config.sync);
+      }
+
+      // Collect matches for periodic digests instead of sending them one by one
+      if (config.digest.enabled) {
+        this.digest = new Digest(this.storage, this.botHandler, config.digest);
+      }
+
+      // Listen for admin, job alert and search commands
+      if (config.adminUserIds.length > 0) {
+        new AdminCommands(this, config).register(this.botHandler.bot);
+      }
+      if (config.subscriptions.enabled) {
+        this.subscriptions = new SubscriptionManager(this.storage, this.botHandler, config.subscriptions);
+        this.subscriptions.register(this.botHandler.bot);
+      }
+      if (config.search.enabled) {
+        this.search = new JobSearch(this.storage, this.botHandler, config.search);
+        this.search.register(this.botHandler.bot);
+      }
+      if (this.classifier?.hasFeedback()) {
+        this.classifier.register(this.botHandler.bot);
+      }
+      if (config.adminUserIds.length > 0 || this.subscriptions || this.search || this.classifier?.hasFeedback()) {
+        this.botHandler.launch();
+      }
+
       logger.info('✅ All components initialized successfully');
       return true;
     } catch (error) {
@@ -65,89 +194,460 @@ class JobScraperApp {
   }
 
   /**
-   * Process a single message
+   * Process a single message from a source channel
+   * Returns true once the message is handled (delivered or skipped), false when processing failed
    */
-  async processMessage(message) {
+  async processMessage(message, channel) {
     try {
       const messageId = message.id;
 
-      // Skip if already processed
-      if (this.storage.isProcessed(messageId)) {
-        logger.debug(`Message ${messageId} already processed, skipping`);
-        return false;
+      // Skip if already processed (for albums, if any item was)
+      if (getMessageParts(message).some(part => this.storage.isProcessed(channel, part.id))) {
+        logger.debug(`Message ${channel}/${messageId} already processed, skipping`);
+        return true;
       }
+      this.stats.messagesSeen++;
+
+      // Extract structured fields (attached as message.job) for filtering and formatting
+      this.jobParser.parseMessage(message, channel);
 
       // Filter message
-      if (!this.jobFilter.isJobPost(message)) {
-        logger.debug(`Message ${messageId} doesn't match job criteria, skipping`);
+      const match = this.jobFilter.check(message);
+      if (!match.isMatch) {
+        logger.debug(`Message ${channel}/${messageId} doesn't match job criteria, skipping`);
         // Mark as processed even if not a job to avoid reprocessing
-        this.storage.markProcessed(messageId);
-        return false;
+        this.markProcessed(channel, message);
+        await this.deliverAlerts(message);
+        return true;
+      }
+      this.stats.matched++;
+
+      // Keep the score, the keywords behind it and the classifier's verdict for formatting
+      // (see BotHandler.getTemplateValues)
+      message.match = { score: match.score, matchedKeywords: match.matchedKeywords, classifier: match.classifier };
+
+      // Skip reposts of posts we already forwarded
+      const postDate = message.date ? message.date * 1000 : Date.now();
+      const fingerprint = this.duplicateDetector?.fingerprint(this.jobFilter.extractText(message));
+      const original = this.duplicateDetector?.findDuplicate(fingerprint, postDate);
+      if (original) {
+        logger.info(
+          `♻️  Message ${channel}/${messageId} is a near-duplicate of ${original.channel}/${original.messageId} ` +
+          `(similarity ${original.similarity.toFixed(2)}), skipping`
+        );
+        this.markProcessed(channel, message);
+        this.stats.duplicates++;
+        return true;
       }
 
-      // Forward message
-      logger.info(`📤 Forwarding job post (ID: ${messageId})...`);
-      await this.botHandler.forwardMessage(message, config.targetChannel);
+      // Route message to its target chats
+      const routes = this.router.getRoutes(message);
+      if (routes.length === 0) {
+        logger.warn(`Message ${channel}/${messageId} matched no routing rule and no default target is set`);
+        this.markProcessed(channel, message);
+        await this.deliverAlerts(message);
+        return true;
+      }
+
+      const delivered = new Set();
+      if (this.digest) {
+        // Digest mode: the post is summarized in the next digest of every target
+        for (const route of routes) {
+          if (!delivered.has(route.target)) {
+            this.digest.add(channel, message, route.target);
+            delivered.add(route.target);
+          }
+        }
+      } else {
+        // Download photos/documents once, they are re-uploaded to every target
+        if (config.media.enabled) {
+          await this.telegramClient.downloadMedia(message, config.media.maxSizeBytes);
+        }
+
+        // Forward message
+        logger.info(`📤 Forwarding job post (ID: ${messageId}) from ${channel} to ${routes.length} target(s)...`);
+        const messageIds = getMessageParts(message).map(part => part.id);
+        for (const route of routes) {
+          const error = await this.deliverToRoute(channel, message, route, delivered);
+
+          // Failed deliveries are retried from the outbox, even after a restart
+          if (error) {
+            this.stats.failed++;
+            this.outbox.add(channel, messageIds, route, error);
+          }
+        }
+      }
 
-      // Mark as processed
-      this.storage.markProcessed(messageId);
-      logger.info(`✅ Message ${messageId} processed and forwarded successfully`);
+      // Mark as processed even if some targets failed, the outbox retries those
+      this.markProcessed(channel, message);
+      this.duplicateDetector?.remember(channel, messageId, fingerprint, postDate);
+      this.storage.saveJob({
+        channel,
+        messageId,
+        date: postDate,
+        text: message.message || message.text || message.caption || '',
+        filterText: this.jobFilter.extractText(message),
+        fields: message.job,
+        targets: [...delivered],
+        keywords: message.match.matchedKeywords.map(({ keyword }) => keyword)
+      });
+      if (this.digest) {
+        logger.info(`✅ Message ${channel}/${messageId} processed and queued for the digest of ${[...delivered].join(', ')}`);
+      } else if (delivered.size > 0) {
+        this.stats.forwarded++;
+        logger.info(`✅ Message ${channel}/${messageId} processed and forwarded to ${[...delivered].join(', ')}`);
+      } else {
+        logger.warn(`Message ${channel}/${messageId} processed, delivery to every target queued for retry`);
+      }
 
+      await this.deliverAlerts(message);
       return true;
     } catch (error) {
-      logger.error(`Error processing message ${message.id}:`, error);
+      logger.error(`Error processing message ${channel}/${message.id}:`, error);
       return false;
     }
   }
 
   /**
-   * Poll for new messages
+   * Send a post to the users whose personal job alerts match it
+   * Alerts are independent of the keywords and routing rules, so every new post is checked
    */
-  async pollForMessages() {
+  async deliverAlerts(message) {
+    if (!this.subscriptions) {
+      return;
+    }
+
+    const users = this.subscriptions.getMatchingUsers(message);
+    if (users.length === 0) {
+      return;
+    }
+
+    // Posts that weren't forwarded have no media downloaded yet
+    if (config.media.enabled && !message.mediaFiles) {
+      await this.telegramClient.downloadMedia(message, config.media.maxSizeBytes);
+    }
+    await this.subscriptions.deliver(message, users);
+  }
+
+  /**
+   * Mark a message as processed, including every item of an album
+   */
+  markProcessed(channel, message) {
+    for (const part of getMessageParts(message)) {
+      this.storage.markProcessed(channel, part.id);
+    }
+  }
+
+  /**
+   * Deliver a message to a route target, falling back to the rule's fallback target on failure
+   * Successfully used targets are added to the delivered set
+   * Returns the error when neither the target nor the fallback got the post, otherwise null
+   */
+  async deliverToRoute(channel, message, route, delivered) {
     try {
-      if (!this.isRunning) {
-        return;
+      const sent = await this.botHandler.forwardMessage(message, route.target);
+      this.copySync?.record(channel, message, sent);
+      delivered.add(route.target);
+      return null;
+    } catch (error) {
+      logger.error(`Delivery to ${route.target} (rule "${route.rule}") failed:`, error);
+
+      if (!route.fallback) {
+        return error;
+      }
+      if (delivered.has(route.fallback)) {
+        return null;
       }
 
-      logger.debug(`🔍 Polling for new messages in ${config.sourceChannel}...`);
+      try {
+        logger.info(`Retrying delivery via fallback target ${route.fallback}...`);
+        const sent = await this.botHandler.forwardMessage(message, route.fallback);
+        this.copySync?.record(channel, message, sent);
+        delivered.add(route.fallback);
+        return null;
+      } catch (fallbackError) {
+        logger.error(`Delivery to fallback ${route.fallback} (rule "${route.rule}") failed:`, fallbackError);
+        return error;
+      }
+    }
+  }
 
-      // Get new messages
-      const messages = await this.telegramClient.getNewMessages(
-        config.sourceChannel,
-        10
-      );
+  /**
+   * Retry due outbox entries
+   * The post is fetched and scored again from the source channel, so media, edits and template values are current
+   */
+  async processOutbox() {
+    if (!this.isRunning || this.isPaused) {
+      return;
+    }
+
+    for (const entry of this.outbox.getDue()) {
+      try {
+        const messages = await this.telegramClient.getMessagesByIds(entry.channel, entry.messageIds);
+        if (messages.length === 0) {
+          this.outbox.markDead(entry, 'Source message no longer exists');
+          continue;
+        }
+
+        const [message] = groupAlbums(messages);
+        this.jobParser.parseMessage(message, entry.channel);
+        const { score, matchedKeywords, classifier } = this.jobFilter.evaluate(message);
+        message.match = { score, matchedKeywords, classifier };
+        if (config.media.enabled) {
+          await this.telegramClient.downloadMedia(message, config.media.maxSizeBytes);
+        }
+
+        // The outbox keeps the rule's name, its fallback target is looked up again
+        const route = {
+          target: entry.target,
+          rule: entry.rule,
+          fallback: this.router.rules.find(rule => rule.name === entry.rule)?.fallback || null
+        };
+        const error = await this.deliverToRoute(entry.channel, message, route, new Set());
+        if (error) {
+          throw error;
+        }
+        this.outbox.markDelivered(entry);
+        this.stats.forwarded++;
+      } catch (error) {
+        // Without a connection every retry would fail, keep the attempts for later
+        if (this.isConnectionError(error)) {
+          logger.warn('Outbox retries postponed, Telegram client is not connected');
+          return;
+        }
+        this.outbox.markFailed(entry, error);
+      }
+    }
+  }
+
+  /**
+   * Check the source posts of tracked copies for edits and deletions
+   * Catches changes real-time updates missed, and is the only way to see them in polling mode
+   */
+  async syncCopies() {
+    if (!this.isRunning || this.isPaused) {
+      return;
+    }
+
+    this.copySync.prune();
+    const idsByChannel = new Map();
+    for (const copy of this.copySync.getTrackedCopies()) {
+      if (!idsByChannel.has(copy.channel)) {
+        idsByChannel.set(copy.channel, new Set());
+      }
+      idsByChannel.get(copy.channel).add(copy.messageId);
+    }
+
+    for (const [channel, ids] of idsByChannel) {
+      try {
+        // Deleted messages are left out of the result
+        const messages = await this.telegramClient.getMessagesByIds(channel, [...ids]);
+        for (const message of messages) {
+          await this.handleEditedMessage(message, channel);
+        }
+
+        const found = new Set(messages.map(message => message.id));
+        await this.copySync.handleDelete(channel, [...ids].filter(id => !found.has(id)));
+      } catch (error) {
+        if (this.isConnectionError(error)) {
+          logger.warn('Copy sync postponed, Telegram client is not connected');
+          return;
+        }
+        logger.error(`Error syncing copies of ${channel}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Apply an edited source post to its copies
+   */
+  async handleEditedMessage(message, channel) {
+    // Fields and the score are taken again, the edit may have changed e.g. the salary
+    this.jobParser.parseMessage(message, channel);
+    const { score, matchedKeywords, classifier } = this.jobFilter.evaluate(message);
+    message.match = { score, matchedKeywords, classifier };
+    await this.copySync.handleEdit(channel, message);
+  }
+
+  /**
+   * Send the pending digests when their schedule slot has started
+   */
+  async sendDigest() {
+    if (!this.isRunning || this.isPaused) {
+      return;
+    }
+
+    this.stats.forwarded += await this.digest.sendIfDue();
+  }
+
+  /**
+   * Poll a single channel for new messages
+   */
+  async pollChannel(channel) {
+    logger.debug(`🔍 Polling for new messages in ${channel}...`);
 
-      if (messages.length === 0) {
-        logger.debug('No new messages found');
+    // Get all messages since the channel's cursor
+    const messages = await this.telegramClient.getNewMessages(channel, config.backfillLimit);
+
+    if (messages.length === 0) {
+      logger.debug(`No new messages found in ${channel}`);
+      return;
+    }
+
+    logger.info(`📨 Found ${messages.length} new message(s) in ${channel}`);
+    await this.processBatch(messages, channel);
+  }
+
+  /**
+   * Process messages oldest first, saving the channel cursor after each one
+   * so a restart resumes where processing stopped
+   * A message that fails stops the batch, the next poll fetches it again
+   * Sends are paced by the bot's send scheduler
+   */
+  async processBatch(messages, channel) {
+    // Album items are processed together as one post
+    for (const message of groupAlbums(messages)) {
+      if (!await this.processMessage(message, channel)) {
+        // Fetch again from the failed message on the next poll
+        this.telegramClient.setLastMessageId(channel, Math.min(...getMessageParts(message).map(part => part.id)) - 1);
+        logger.warn(`Stopped processing ${channel} at message ${message.id}, it is retried on the next poll`);
         return;
       }
+      this.storage.setCursor(channel, Math.max(...getMessageParts(message).map(part => part.id)));
+    }
+  }
+
+  /**
+   * Run a task after every previously queued one
+   * Polls and real-time updates share the queue, so they never process messages concurrently
+   */
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch(error => {
+      logger.error('Error in queued task:', error);
+    });
+    return this.queue;
+  }
+
+  /**
+   * Queue a poll of all channels, unless one is already waiting
+   * Keeps slow polls from piling up behind each other
+   */
+  schedulePoll() {
+    if (this.isPollQueued) {
+      logger.debug('Previous poll still pending, skipping this one');
+      return this.queue;
+    }
+
+    this.isPollQueued = true;
+    return this.enqueue(async () => {
+      this.isPollQueued = false;
+      await this.pollForMessages();
+    });
+  }
 
-      logger.info(`📨 Found ${messages.length} new message(s)`);
+  /**
+   * Handle a message pushed by a real-time update
+   * The channel cursor is left to catch-up polls, so a missed update is still fetched later
+   */
+  handleNewMessage(message, channel) {
+    if (!this.isRunning || this.isPaused) {
+      return;
+    }
+
+    logger.info(`⚡ New message ${channel}/${message.id} received`);
+    this.enqueue(() => this.processMessage(message, channel));
+  }
 
-      // Process each message
-      for (const message of messages) {
-        await this.processMessage(message);
-        // Small delay between processing to avoid rate limits
-        await new Promise(resolve => setTimeout(resolve, 1000));
+  /**
+   * Poll all source channels for new messages
+   */
+  async pollForMessages() {
+    try {
+      if (!this.isRunning || this.isPaused) {
+        return;
+      }
+      const startedAt = Date.now();
+
+      for (const channel of config.sourceChannels) {
+        try {
+          await this.pollChannel(channel);
+        } catch (error) {
+          // Connection errors affect every channel, let the outer handler reconnect
+          if (this.isConnectionError(error)) {
+            throw error;
+          }
+          logger.error(`Error polling channel ${channel}:`, error);
+        }
       }
 
       // Reset reconnect attempts on successful poll
       this.reconnectAttempts = 0;
+      this.stats.polls++;
+      this.stats.lastPollAt = Date.now();
+      this.stats.lastPollDurationMs = this.stats.lastPollAt - startedAt;
+      this.stats.pollDurationMs += this.stats.lastPollDurationMs;
 
       // Cleanup storage periodically
       if (Math.random() < 0.1) { // 10% chance on each poll
         this.storage.cleanup();
+        this.duplicateDetector?.prune();
       }
     } catch (error) {
       logger.error('Error polling for messages:', error);
+      this.stats.pollErrors++;
       
       // Attempt reconnection
-      if (error.message.includes('not connected') || error.message.includes('connection')) {
+      if (this.isConnectionError(error)) {
         await this.handleReconnection();
       }
     }
   }
 
+  /**
+   * Pause polling; the next poll after resume() catches up from the saved cursors
+   */
+  pause() {
+    this.isPaused = true;
+    logger.info('⏸️  Polling paused');
+  }
+
+  /**
+   * Resume polling
+   */
+  resume() {
+    this.isPaused = false;
+    logger.info('▶️  Polling resumed');
+
+    // Catch up on posts published while paused
+    if (this.isRunning) {
+      this.schedulePoll();
+    }
+  }
+
+  /**
+   * Replace the keyword list and persist it, so it survives restarts
+   */
+  setKeywords(keywords) {
+    this.jobFilter.updateKeywords(keywords);
+    this.storage.setSetting('keywords', this.jobFilter.keywords);
+  }
+
+  /**
+   * Go back to the JOB_KEYWORDS list, dropping the keywords saved by setKeywords
+   */
+  resetKeywords() {
+    this.jobFilter.updateKeywords(config.keywords);
+    this.storage.setSetting('keywords', null);
+  }
+
+  /**
+   * Check whether an error was caused by a lost MTProto connection
+   */
+  isConnectionError(error) {
+    const message = error?.message || '';
+    return message.includes('not connected') || message.includes('connection');
+  }
+
   /**
    * Handle reconnection logic
    */
@@ -159,12 +659,18 @@ class JobScraperApp {
     }
 
     this.reconnectAttempts++;
+    this.stats.reconnects++;
     logger.warn(`Attempting reconnection (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
 
     try {
       await this.telegramClient.reconnect();
       logger.info('Reconnection successful');
       this.reconnectAttempts = 0;
+
+      // Updates pushed while disconnected are lost, catch up right away
+      if (config.realtime) {
+        this.schedulePoll();
+      }
     } catch (error) {
       logger.error('Reconnection failed:', error);
       
@@ -175,38 +681,79 @@ class JobScraperApp {
     }
   }
 
+  /**
+   * Catch up on a channel at startup
+   * With a saved cursor, backfills everything posted since; otherwise scans recent messages
+   */
+  async scanChannel(channel) {
+    const cursor = this.storage.getCursor(channel);
+
+    if (cursor > 0) {
+      logger.info(`🔍 Backfilling ${channel} since message ID ${cursor}...`);
+      this.telegramClient.setLastMessageId(channel, cursor);
+      const messages = await this.telegramClient.getNewMessages(channel, config.backfillLimit);
+      logger.info(`📊 Backfill of ${channel} found ${messages.length} missed messages`);
+      await this.processBatch(messages, channel);
+      return;
+    }
+
+    logger.info(`🔍 Performing initial scan of recent messages in ${channel}...`);
+    const recentMessages = await this.telegramClient.getRecentMessages(channel, config.initialScanLimit);
+    logger.info(`📊 Initial scan of ${channel} found ${recentMessages.length} recent messages`);
+
+    // Process recent messages (in reverse to process oldest first)
+    await this.processBatch(recentMessages.reverse(), channel);
+  }
+
   /**
    * Start the application
    */
   async start() {
     try {
-      await this.initialize();
+      // Up before initializing, so /readyz reports the startup
+      if (config.health.port) {
+        this.healthServer = new HealthServer(this, config.health);
+        await this.healthServer.start();
+      }
 
-      // Do initial scan of recent messages
-      logger.info('🔍 Performing initial scan of recent messages...');
-      const recentMessages = await this.telegramClient.getRecentMessages(
-        config.sourceChannel,
-        50
-      );
-      logger.info(`📊 Initial scan found ${recentMessages.length} recent messages`);
+      await this.initialize();
 
-      // Process recent messages (in reverse to process oldest first)
-      for (const message of recentMessages.reverse()) {
-        await this.processMessage(message);
-        await new Promise(resolve => setTimeout(resolve, 500));
+      // Do initial scan of recent messages in every source channel
+      for (const channel of config.sourceChannels) {
+        await this.scanChannel(channel);
       }
 
-      // Start polling
       this.isRunning = true;
-      logger.info(`🔄 Starting polling every ${config.pollInterval / 1000} seconds...`);
+
+      // Real-time mode: posts arrive as update events, polling only catches up on missed ones
+      let interval = config.pollInterval;
+      if (config.realtime) {
+        const handlers = { onMessage: (message, channel) => this.handleNewMessage(message, channel) };
+        if (this.copySync) {
+          handlers.onEdit = (message, channel) => this.enqueue(() => this.handleEditedMessage(message, channel));
+          handlers.onDelete = (messageIds, channel) => this.enqueue(() => this.copySync.handleDelete(channel, messageIds));
+        }
+        await this.telegramClient.subscribeToChannels(config.sourceChannels, handlers);
+        interval = config.catchUpInterval;
+      }
 
       // Poll immediately, then set interval
-      await this.pollForMessages();
-      this.pollInterval = setInterval(() => {
-        this.pollForMessages().catch(error => {
-          logger.error('Error in polling interval:', error);
-        });
-      }, config.pollInterval);
+      logger.info(`🔄 Starting polling every ${interval / 1000} seconds...`);
+      await this.schedulePoll();
+      this.pollInterval = setInterval(() => this.schedulePoll(), interval);
+
+      // Retry failed deliveries in the same queue as polls and updates
+      this.outboxInterval = setInterval(() => this.enqueue(() => this.processOutbox()), OUTBOX_CHECK_INTERVAL);
+
+      // Look for edits and deletions of forwarded posts
+      if (this.copySync) {
+        this.syncInterval = setInterval(() => this.enqueue(() => this.syncCopies()), config.sync.interval);
+      }
+
+      // Send digests on their schedule
+      if (this.digest) {
+        this.digestInterval = setInterval(() => this.enqueue(() => this.sendDigest()), DIGEST_CHECK_INTERVAL);
+      }
 
       logger.info('✅ Job scraper is now running!');
       logger.info('Press Ctrl+C to stop');
@@ -232,6 +779,24 @@ class JobScraperApp {
         clearInterval(this.pollInterval);
         this.pollInterval = null;
       }
+      if (this.outboxInterval) {
+        clearInterval(this.outboxInterval);
+        this.outboxInterval = null;
+      }
+      if (this.syncInterval) {
+        clearInterval(this.syncInterval);
+        this.syncInterval = null;
+      }
+      if (this.digestInterval) {
+        clearInterval(this.digestInterval);
+        this.digestInterval = null;
+      }
+
+      // Stop answering health checks, also lets the process exit after giving up on reconnecting
+      if (this.healthServer) {
+        await this.healthServer.stop();
+        this.healthServer = null;
+      }
 
       // Disconnect clients
       if (this.telegramClient) {
@@ -242,6 +807,10 @@ class JobScraperApp {
         await this.botHandler.stop();
       }
 
+      if (this.storage) {
+        this.storage.close();
+      }
+
       logger.info('✅ Application stopped');
     } catch (error) {
       logger.error('Error stopping application:', error);
@@ -0,0 +1,442 @@
+/**
+ * Admin Commands module
+ * Bot commands for managing the running scraper from Telegram, restricted to an allowlist of user IDs
+ */
+
+import { compileWeightedKeyword, normalizeKeyword, parseKeywordWeight } from './keywordMatcher.js';
+import { escapeHtml, htmlTextLength, stripHtml } from '../utils/html.js';
+import logger from '../utils/logger.js';
+
+// Telegram rejects messages longer than this
+const MAX_MESSAGE_LENGTH = 4096;
+const TRUNCATED_NOTE = '\n…(truncated)';
+
+const HELP_TEXT = [
+  '<b>🛠 Admin commands</b>',
+  '/status - Running state, channels and storage',
+  '/stats - Message counters since start',
+  '/keywords - List keywords',
+  '/addkeyword &lt;keyword[:weight]&gt;[, ...] - Add keywords or change their weight',
+  '/removekeyword &lt;keyword&gt;[, &lt;keyword&gt;...] - Remove keywords',
+  '/resetkeywords - Go back to the JOB_KEYWORDS of the .env file',
+  '/pause - Pause polling',
+  '/resume - Resume polling',
+  '/test &lt;text&gt; - Check whether a post would match and why',
+  '/outbox - Deliveries waiting for a retry and dead letters',
+  '/replay &lt;id|all&gt; - Retry dead letters now',
+  '/discard &lt;id&gt; - Delete a dead letter'
+].join('\n');
+
+// Dead letters listed by /outbox
+const MAX_LISTED_DEAD_LETTERS = 20;
+
+/**
+ * Format a duration in ms as "2d 3h 4m"
+ */
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+
+  const parts = [];
+  if (days > 0) parts.push(`${days}d`);
+  if (hours > 0) parts.push(`${hours}h`);
+  parts.push(`${minutes % 60}m`);
+  return parts.join(' ');
+}
+
+/**
+ * Shorten an HTML reply to Telegram's length limit, which applies to the visible text
+ * Whole lines are kept while they fit, so no tag or entity is split; the line that doesn't fit
+ * is cut as plain text
+ */
+function truncateHtml(html) {
+  if (htmlTextLength(html) <= MAX_MESSAGE_LENGTH) {
+    return html;
+  }
+
+  const maxLength = MAX_MESSAGE_LENGTH - TRUNCATED_NOTE.length;
+  const kept = [];
+  let length = 0;
+  for (const line of html.split('\n')) {
+    const lineLength = htmlTextLength(line) + (kept.length > 0 ? 1 : 0);
+    if (length + lineLength > maxLength) {
+      const rest = stripHtml(line).slice(0, maxLength - length - (kept.length > 0 ? 1 : 0));
+      if (rest) {
+        kept.push(escapeHtml(rest));
+      }
+      break;
+    }
+    kept.push(line);
+    length += lineLength;
+  }
+  return `${kept.join('\n')}${TRUNCATED_NOTE}`;
+}
+
+/**
+ * Split a comma-separated command argument into keywords
+ * Regex keywords may contain commas, so a /regex/ argument is kept whole
+ */
+function parseKeywordArgs(args) {
+  const trimmed = args.trim();
+  if (/^\/.+\/[a-z]*(\s*:\s*[+-]?\d+(\.\d+)?)?$/s.test(trimmed)) {
+    return [trimmed];
+  }
+  return trimmed.split(',').map(k => k.trim()).filter(k => k.length > 0);
+}
+
+/**
+ * Get a normalized keyword without its weight, e.g. "react:3" -> "react"
+ */
+function getKeywordBase(keyword) {
+  return parseKeywordWeight(keyword).keyword;
+}
+
+/**
+ * AdminCommands class for handling admin bot commands
+ */
+class AdminCommands {
+  /**
+   * @param {JobScraperApp} app - Running application (filter, router, storage, stats)
+   * @param {Object} config - Application config (see config.js), adminUserIds are allowed to run commands
+   */
+  constructor(app, config) {
+    this.app = app;
+    this.config = config;
+    this.adminUserIds = new Set((config.adminUserIds || []).map(Number));
+  }
+
+  /**
+   * Register command handlers on a Telegraf bot
+   */
+  register(bot) {
+    const adminOnly = this.adminOnly.bind(this);
+
+    // Admins get the admin command list, then other /start and /help handlers (e.g. job alerts) run too
+    bot.command(['start', 'help'], async (ctx, next) => {
+      if (this.isAdmin(ctx.from?.id)) {
+        await this.handleHelp(ctx).catch(error => logger.error('Error handling /help command:', error));
+      }
+      return next();
+    });
+
+    const commands = {
+      status: this.handleStatus,
+      stats: this.handleStats,
+      keywords: this.handleKeywords,
+      addkeyword: this.handleAddKeyword,
+      removekeyword: this.handleRemoveKeyword,
+      resetkeywords: this.handleResetKeywords,
+      pause: this.handlePause,
+      resume: this.handleResume,
+      test: this.handleTest,
+      outbox: this.handleOutbox,
+      replay: this.handleReplay,
+      discard: this.handleDiscard
+    };
+
+    for (const [name, handler] of Object.entries(commands)) {
+      bot.command(name, adminOnly, async (ctx) => {
+        try {
+          await handler.call(this, ctx, this.getArgs(ctx));
+        } catch (error) {
+          logger.error(`Error handling /${name} command:`, error);
+          await ctx.reply(`❌ /${name} failed: ${error.message}`).catch(() => {});
+        }
+      });
+    }
+
+    logger.info(`Admin commands registered for ${this.adminUserIds.size} user(s)`);
+  }
+
+  /**
+   * Check whether a user is on the admin allowlist
+   */
+  isAdmin(userId) {
+    return Boolean(userId) && this.adminUserIds.has(userId);
+  }
+
+  /**
+   * Middleware that drops commands from users outside the allowlist
+   */
+  async adminOnly(ctx, next) {
+    const userId = ctx.from?.id;
+    if (this.isAdmin(userId)) {
+      return next();
+    }
+
+    logger.warn(`Ignoring command from unauthorized user ${userId} (${ctx.from?.username || 'no username'})`);
+    if (ctx.chat?.type === 'private') {
+      await ctx.reply('⛔ You are not allowed to use this command.').catch(() => {});
+    }
+  }
+
+  /**
+   * Get the text after the command (`/addkeyword@MyBot react` -> "react")
+   */
+  getArgs(ctx) {
+    const text = ctx.message?.text || '';
+    const match = text.match(/^\/\S+\s*([\s\S]*)$/);
+    return match ? match[1].trim() : '';
+  }
+
+  /**
+   * Reply with HTML, truncated to Telegram's message length limit
+   */
+  async reply(ctx, html) {
+    await ctx.reply(truncateHtml(html), { parse_mode: 'HTML', disable_web_page_preview: true });
+  }
+
+  async handleHelp(ctx) {
+    await this.reply(ctx, HELP_TEXT);
+  }
+
+  async handleStatus(ctx) {
+    const { app, config } = this;
+    const state = !app.isRunning ? '⏹ Stopped' : app.isPaused ? '⏸ Paused' : '▶️ Running';
+    const cursors = app.storage.getCursors();
+    const lastPoll = app.stats.lastPollAt ? new Date(app.stats.lastPollAt).toLocaleString() : 'never';
+
+    const lines = [
+      '<b>📊 Scraper status</b>',
+      `State: ${state}`,
+      `Uptime: ${formatDuration(Date.now() - app.stats.startedAt)}`,
+      `Last poll: ${escapeHtml(lastPoll)}`,
+      config.realtime
+        ? `Mode: real-time updates, catch-up polls every ${config.catchUpInterval / 1000}s`
+        : `Mode: polling every ${config.pollInterval / 1000}s`,
+      `Routing rules: ${app.router.rules.length}, default target: ${escapeHtml(config.targetChannel)}`,
+      `Keywords: ${app.jobFilter.keywords.length}`,
+      ...(app.classifier ? [`Classifier: ${app.classifier.mode} mode, ${escapeHtml(app.classifier.describe())}`] : []),
+      `Processed messages stored: ${app.storage.getCount()}`,
+      `Sends queued: ${app.botHandler.scheduler.getQueueDepth()}`,
+      ...(app.digest ? [`Digest posts pending: ${app.digest.getPendingCount()}`] : []),
+      '',
+      '<b>Source channels</b>',
+      ...config.sourceChannels.map(channel =>
+        `• ${escapeHtml(channel)} (cursor ${cursors[channel] || 'none'})`
+      )
+    ];
+
+    await this.reply(ctx, lines.join('\n'));
+  }
+
+  async handleStats(ctx) {
+    const { stats } = this.app;
+    const lines = [
+      '<b>📈 Stats since start</b>',
+      `Started: ${escapeHtml(new Date(stats.startedAt).toLocaleString())}`,
+      `Polls: ${stats.polls}`,
+      `Messages checked: ${stats.messagesSeen}`,
+      `Job posts matched: ${stats.matched}`,
+      `Forwarded: ${stats.forwarded}`,
+      `Duplicates skipped: ${stats.duplicates}`,
+      `Delivery failures: ${stats.failed}`,
+      `Poll errors: ${stats.pollErrors}`,
+      `Reconnect attempts: ${stats.reconnects}`
+    ];
+
+    await this.reply(ctx, lines.join('\n'));
+  }
+
+  async handleKeywords(ctx) {
+    const { keywords } = this.app.jobFilter;
+    if (keywords.length === 0) {
+      await this.reply(ctx, 'No keywords configured.');
+      return;
+    }
+
+    await this.reply(ctx, `<b>🔑 Keywords (${keywords.length})</b>\n${escapeHtml(keywords.join(', '))}`);
+  }
+
+  async handleAddKeyword(ctx, args) {
+    const added = parseKeywordArgs(args).map(normalizeKeyword).filter(k => k.length > 0);
+    if (added.length === 0) {
+      await this.reply(ctx, 'Usage: /addkeyword &lt;keyword&gt;[, &lt;keyword&gt;...]');
+      return;
+    }
+
+    // Reject invalid /regex/ keywords before changing anything
+    try {
+      added.forEach(compileWeightedKeyword);
+    } catch (error) {
+      await this.reply(ctx, `❌ ${escapeHtml(error.message)}`);
+      return;
+    }
+
+    const current = this.app.jobFilter.keywords;
+    const newKeywords = added.filter(k => !current.includes(k));
+    if (newKeywords.length === 0) {
+      await this.reply(ctx, 'All of these keywords are already configured.');
+      return;
+    }
+
+    // A keyword added with another weight replaces the configured one
+    const replaced = new Set(newKeywords.map(getKeywordBase));
+    this.app.setKeywords([...current.filter(k => !replaced.has(getKeywordBase(k))), ...newKeywords]);
+    logger.info(`Keywords added by ${ctx.from.id}: ${newKeywords.join(', ')}`);
+    await this.reply(ctx, `✅ Added: ${escapeHtml(newKeywords.join(', '))}`);
+  }
+
+  async handleRemoveKeyword(ctx, args) {
+    const removed = parseKeywordArgs(args).map(normalizeKeyword);
+    if (removed.length === 0) {
+      await this.reply(ctx, 'Usage: /removekeyword &lt;keyword&gt;[, &lt;keyword&gt;...]');
+      return;
+    }
+
+    // Keywords are removed whatever their weight
+    const current = this.app.jobFilter.keywords;
+    const removedBases = new Set(removed.map(getKeywordBase));
+    const found = current.filter(k => removedBases.has(getKeywordBase(k)));
+    if (found.length === 0) {
+      await this.reply(ctx, 'None of these keywords are configured. See /keywords');
+      return;
+    }
+
+    this.app.setKeywords(current.filter(k => !found.includes(k)));
+    logger.info(`Keywords removed by ${ctx.from.id}: ${found.join(', ')}`);
+    await this.reply(ctx, `✅ Removed: ${escapeHtml(found.join(', '))}`);
+  }
+
+  async handleResetKeywords(ctx) {
+    if (this.app.storage.getSetting('keywords') === null) {
+      await this.reply(ctx, 'The keywords are already those of JOB_KEYWORDS. See /keywords');
+      return;
+    }
+
+    this.app.resetKeywords();
+    logger.info(`Keywords reset to JOB_KEYWORDS by ${ctx.from.id}`);
+    await this.reply(ctx, `✅ Keywords reset to JOB_KEYWORDS (${this.app.jobFilter.keywords.length}). See /keywords`);
+  }
+
+  async handlePause(ctx) {
+    if (this.app.isPaused) {
+      await this.reply(ctx, 'Polling is already paused.');
+      return;
+    }
+
+    this.app.pause();
+    await this.reply(ctx, '⏸ Polling paused. Posts published meanwhile are picked up after /resume.');
+  }
+
+  async handleResume(ctx) {
+    if (!this.app.isPaused) {
+      await this.reply(ctx, 'Polling is not paused.');
+      return;
+    }
+
+    this.app.resume();
+    await this.reply(ctx, '▶️ Polling resumed.');
+  }
+
+  async handleTest(ctx, text) {
+    if (!text) {
+      await this.reply(ctx, 'Usage: /test &lt;post text&gt;');
+      return;
+    }
+
+    const message = { message: text };
+    this.app.jobParser.parseMessage(message);
+    const result = this.app.jobFilter.evaluate(message);
+
+    const lines = [
+      result.isMatch ? '✅ <b>Would match</b>' : '❌ <b>Would not match</b>',
+      `Reason: ${escapeHtml(result.reason)}`
+    ];
+    if (result.matchedKeywords.length > 0) {
+      lines.push(`Score: ${result.score} (threshold ${this.app.jobFilter.threshold})`);
+    }
+    if (result.language) {
+      lines.push(`Language: ${result.language}`);
+    }
+    if (result.expressionMatch !== null) {
+      lines.push(`Filter expression: ${result.expressionMatch ? 'satisfied' : 'not satisfied'}`);
+    }
+    if (result.classifier) {
+      lines.push(`Classifier: ${Math.round(result.classifier.probability * 100)}% job (${result.classifier.mode} mode)`);
+    } else if (this.app.classifier) {
+      lines.push(`Classifier: not trained yet (${escapeHtml(this.app.classifier.describe())})`);
+    }
+
+    if (result.isMatch) {
+      const targets = this.app.router.getRoutes(message).map(route => `${route.target} (${route.rule})`);
+      lines.push(`Targets: ${escapeHtml(targets.join(', ') || 'none')}`);
+    }
+
+    const fields = Object.entries(message.job)
+      .filter(([, value]) => value !== null)
+      .map(([field, value]) => `• ${field}: ${escapeHtml(typeof value === 'object' ? value.text : String(value))}`);
+    if (fields.length > 0) {
+      lines.push('', '<b>Extracted fields</b>', ...fields);
+    }
+
+    await this.reply(ctx, lines.join('\n'));
+  }
+
+  async handleOutbox(ctx) {
+    const pending = this.app.outbox.getPending();
+    const dead = this.app.outbox.getDeadLetters();
+
+    const lines = [
+      '<b>📮 Outbox</b>',
+      `Waiting for retry: ${pending.length}`,
+      `Dead letters: ${dead.length}`
+    ];
+
+    if (pending.length > 0) {
+      const next = Math.min(...pending.map(entry => entry.nextAttemptAt));
+      lines.push(`Next retry: ${escapeHtml(new Date(next).toLocaleString())}`);
+    }
+
+    if (dead.length > 0) {
+      lines.push('', '<b>Dead letters</b>');
+      for (const entry of dead.slice(0, MAX_LISTED_DEAD_LETTERS)) {
+        lines.push(
+          `#${entry.id} ${escapeHtml(entry.channel)}/${entry.messageId} → ${escapeHtml(entry.target)} ` +
+          `(${entry.attempts} attempts): <i>${escapeHtml(entry.lastError || 'unknown error')}</i>`
+        );
+      }
+      if (dead.length > MAX_LISTED_DEAD_LETTERS) {
+        lines.push(`…and ${dead.length - MAX_LISTED_DEAD_LETTERS} more`);
+      }
+      lines.push('', 'Replay with /replay &lt;id&gt; or /replay all');
+    }
+
+    await this.reply(ctx, lines.join('\n'));
+  }
+
+  async handleReplay(ctx, args) {
+    if (!args || (args !== 'all' && !/^#?\d+$/.test(args))) {
+      await this.reply(ctx, 'Usage: /replay &lt;id|all&gt;');
+      return;
+    }
+
+    const id = args === 'all' ? null : Number(args.replace('#', ''));
+    const count = this.app.outbox.replay(id);
+    if (count === 0) {
+      await this.reply(ctx, id === null ? 'There are no dead letters.' : `Dead letter #${id} not found. See /outbox`);
+      return;
+    }
+
+    logger.info(`${count} dead letter(s) replayed by ${ctx.from.id}`);
+    await this.reply(ctx, `🔁 ${count} dead letter(s) queued for an immediate retry.`);
+  }
+
+  async handleDiscard(ctx, args) {
+    if (!/^#?\d+$/.test(args)) {
+      await this.reply(ctx, 'Usage: /discard &lt;id&gt;');
+      return;
+    }
+
+    const id = Number(args.replace('#', ''));
+    if (!this.app.outbox.discard(id)) {
+      await this.reply(ctx, `Dead letter #${id} not found. See /outbox`);
+      return;
+    }
+
+    await this.reply(ctx, `🗑 Dead letter #${id} discarded.`);
+  }
+}
+
+export default AdminCommands;
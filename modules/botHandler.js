@@ -5,15 +5,68 @@
 
 import { Telegraf } from 'telegraf';
 import logger from '../utils/logger.js';
+import SendScheduler from './sendScheduler.js';
+import MessageTemplate, { FormattedText, PARSE_MODE_HTML, PARSE_MODE_MARKDOWN_V2 } from './messageTemplate.js';
+import { escapeHtml, htmlTextLength } from '../utils/html.js';
+import { entitiesToHtml } from '../utils/entities.js';
+import { markdownV2TextLength } from '../utils/markdown.js';
+import { getApplyLink, getMessageLink } from '../utils/links.js';
+import { CLASSIFIER_SUGGEST, LABEL_JOB, LABEL_NOISE, getFeedbackData } from './jobClassifier.js';
+
+// Telegram's caption limit, longer texts are sent as a reply to the media
+const MAX_CAPTION_LENGTH = 1024;
+
+// Telegram's message text limit, longer source posts are shortened to fit
+const MAX_MESSAGE_LENGTH = 4096;
+
+// Text of the reply carrying the buttons of an album, media groups can't have buttons
+const ALBUM_BUTTONS_TEXT = '🔗 Links for this post';
+
+// Digest lines are cut to these lengths, so every post stays on one short line
+const MAX_DIGEST_TITLE_LENGTH = 80;
+const MAX_DIGEST_DETAILS_LENGTH = 160;
+
+/**
+ * Cut text to a maximum length, ending it with an ellipsis
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).trim()}…` : text;
+}
+
+/**
+ * Cut text to a length in UTF-16 code units, without splitting a surrogate pair
+ */
+function cutText(text, length) {
+  const cut = text.slice(0, Math.max(0, length));
+  return /[\uD800-\uDBFF]$/.test(cut) ? cut.slice(0, -1) : cut;
+}
 
 /**
  * BotHandler class for forwarding messages
  */
 class BotHandler {
-  constructor(botToken) {
+  /**
+   * @param {string} botToken - Bot API token
+   * @param {Object} options
+   * @param {Object} options.sendRate - Send limits ({ perChatPerMinute, globalPerSecond, maxRetries }), see sendScheduler.js
+   * @param {Object} options.templates - Message templates { default, chats: { chatId: spec } }, see messageTemplate.js
+   * @param {boolean} options.inlineButtons - Add "View original" and "Apply" buttons to forwarded posts
+   * @param {boolean} options.feedbackButtons - Add 👍/👎 buttons for training the classifier (see jobClassifier.js)
+   */
+  constructor(botToken, options = {}) {
     this.botToken = botToken;
     this.bot = null;
+    this.me = null; // the bot's own user, from getMe() at startup
     this.isReady = false;
+    this.scheduler = new SendScheduler(options.sendRate);
+    this.inlineButtons = options.inlineButtons ?? true;
+    this.feedbackButtons = Boolean(options.feedbackButtons);
+
+    const templates = options.templates || {};
+    this.defaultTemplate = templates.default ? new MessageTemplate(templates.default) : null;
+    this.chatTemplates = new Map(
+      Object.entries(templates.chats || {}).map(([chat, spec]) => [chat, new MessageTemplate(spec)])
+    );
   }
 
   /**
@@ -27,6 +80,7 @@ class BotHandler {
       
       // Test bot connection
       const me = await this.bot.telegram.getMe();
+      this.me = me;
       logger.info(`Bot initialized: @${me.username} (${me.first_name})`);
       
       this.isReady = true;
@@ -38,6 +92,23 @@ class BotHandler {
     }
   }
 
+  /**
+   * Start receiving updates (commands) via long polling
+   * Handlers must be registered on `this.bot` before launching
+   */
+  launch() {
+    if (!this.isReady) {
+      throw new Error('Bot not initialized');
+    }
+
+    // launch() only resolves once polling stops, so don't wait for it
+    this.bot.launch({ dropPendingUpdates: true }, () => {
+      logger.info('Bot is listening for commands');
+    }).catch(error => {
+      logger.error('Bot polling stopped:', error);
+    });
+  }
+
   /**
    * Validate and get chat info
    */
@@ -53,7 +124,7 @@ class BotHandler {
       const username = targetChannel.replace('@', '');
       
       // Check if it's the bot's own username (invalid)
-      const me = await this.bot.telegram.getMe();
+      const me = this.me || await this.bot.telegram.getMe();
       if (username.toLowerCase() === me.username.toLowerCase()) {
         throw new Error(
           `Cannot send messages to bot's own username (@${username}).\n` +
@@ -83,6 +154,8 @@ class BotHandler {
   /**
    * Forward message to target channel
    * Note: Bot can't forward messages directly, so we'll send a formatted message instead
+   * Returns the sent copy: { chatId, target, messageIds, textMessageId, textKind, text, parseMode }
+   * textMessageId is the message holding the text, as a message text ('text') or media caption ('caption')
    */
   async forwardMessage(message, targetChannel) {
     try {
@@ -93,22 +166,26 @@ class BotHandler {
       // Validate and get proper chat identifier
       const chatId = await this.validateChat(targetChannel);
 
-      // Extract message content
-      const text = this.extractMessageText(message);
-      const messageId = message.id;
-      const date = message.date ? new Date(message.date * 1000).toLocaleString() : 'Unknown date';
+      // Format message for forwarding, with the target's template if it has one
+      const { text: formattedText, parseMode, replyMarkup } = this.renderMessage(message, targetChannel);
 
-      // Format message for forwarding
-      const formattedText = this.formatMessage(text, messageId, date, message);
-
-      // Send to target channel
-      await this.bot.telegram.sendMessage(chatId, formattedText, {
-        parse_mode: 'HTML',
-        disable_web_page_preview: false
-      });
+      // Send to target channel, re-uploading downloaded photos/documents with the text as caption
+      let sent;
+      if (message.mediaFiles?.length > 0) {
+        sent = await this.sendMedia(chatId, message.mediaFiles, formattedText, parseMode, replyMarkup);
+      } else {
+        const { message_id: messageId } = await this.scheduler.schedule(chatId, () =>
+          this.bot.telegram.sendMessage(chatId, formattedText, {
+            parse_mode: parseMode,
+            disable_web_page_preview: false,
+            reply_markup: replyMarkup
+          })
+        );
+        sent = { messageIds: [messageId], textMessageId: messageId, textKind: 'text' };
+      }
 
-      logger.info(`Message ${messageId} forwarded to ${chatId}`);
-      return true;
+      logger.info(`Message ${message.id} forwarded to ${chatId}`);
+      return { chatId, target: targetChannel, ...sent, text: formattedText, parseMode };
     } catch (error) {
       logger.error('Error forwarding message:', error);
       
@@ -141,6 +218,109 @@ class BotHandler {
     }
   }
 
+  /**
+   * Send photos/documents with a caption
+   * One file is sent with sendPhoto/sendDocument, several as a media group (album)
+   * Media groups can't have inline buttons, they get them on a reply: the caption when it doesn't fit,
+   * otherwise a short follow-up message
+   * Returns { messageIds, textMessageId, textKind } of the sent messages
+   */
+  async sendMedia(chatId, files, caption, parseMode = PARSE_MODE_HTML, replyMarkup = undefined) {
+    const captionFits = this.getTextLength(caption, parseMode) <= MAX_CAPTION_LENGTH;
+    const extra = captionFits ? { caption, parse_mode: parseMode } : {};
+
+    let sent;
+    if (files.length === 1) {
+      const [file] = files;
+      const input = { source: file.buffer, filename: file.fileName };
+      if (captionFits) {
+        extra.reply_markup = replyMarkup;
+      }
+      sent = [await this.scheduler.schedule(chatId, () => (file.type === 'photo'
+        ? this.bot.telegram.sendPhoto(chatId, input, extra)
+        : this.bot.telegram.sendDocument(chatId, input, extra)))];
+    } else {
+      // Documents can't be grouped with photos, so mixed albums are sent as documents
+      const type = files.every(file => file.type === 'photo') ? 'photo' : 'document';
+      const media = files.map((file, index) => ({
+        type,
+        media: { source: file.buffer, filename: file.fileName },
+        ...(index === 0 ? extra : {})
+      }));
+      // Every item of a media group counts against the rate limits
+      sent = await this.scheduler.schedule(
+        chatId,
+        () => this.bot.telegram.sendMediaGroup(chatId, media),
+        media.length
+      );
+    }
+
+    const messageIds = sent.map(msg => msg.message_id);
+    if (captionFits && files.length > 1 && replyMarkup) {
+      const buttons = await this.scheduler.schedule(chatId, () => this.bot.telegram.sendMessage(chatId, ALBUM_BUTTONS_TEXT, {
+        reply_parameters: { message_id: messageIds[0] },
+        reply_markup: replyMarkup
+      }));
+      messageIds.push(buttons.message_id);
+    }
+    if (captionFits) {
+      return { messageIds, textMessageId: messageIds[0], textKind: 'caption' };
+    }
+
+    const reply = await this.scheduler.schedule(chatId, () => this.bot.telegram.sendMessage(chatId, caption, {
+      parse_mode: parseMode,
+      disable_web_page_preview: true,
+      reply_parameters: { message_id: messageIds[0] },
+      reply_markup: replyMarkup
+    }));
+    return { messageIds: [...messageIds, reply.message_id], textMessageId: reply.message_id, textKind: 'text' };
+  }
+
+  /**
+   * Replace the text of a sent copy (see forwardMessage)
+   * The copy's inline buttons are replaced by replyMarkup, and removed without it
+   * Returns false when a caption would exceed Telegram's caption limit, the copy is left as is then
+   */
+  async editCopy(copy, text, parseMode = copy.parseMode || PARSE_MODE_HTML, replyMarkup = undefined) {
+    if (copy.textKind === 'caption' && this.getTextLength(text, parseMode) > MAX_CAPTION_LENGTH) {
+      logger.warn(`Caption of message ${copy.textMessageId} in ${copy.chatId} would get too long, not edited`);
+      return false;
+    }
+
+    // Captions of media groups can't have buttons (see sendMedia)
+    const isAlbumCaption = copy.textKind === 'caption' && copy.messageIds.length > 1;
+    const markup = isAlbumCaption ? {} : { reply_markup: replyMarkup };
+
+    try {
+      await this.scheduler.schedule(copy.chatId, () => (copy.textKind === 'caption'
+        ? this.bot.telegram.editMessageCaption(copy.chatId, copy.textMessageId, undefined, text, {
+          parse_mode: parseMode,
+          ...markup
+        })
+        : this.bot.telegram.editMessageText(copy.chatId, copy.textMessageId, undefined, text, {
+          parse_mode: parseMode,
+          disable_web_page_preview: false,
+          ...markup
+        })));
+    } catch (error) {
+      // The edit didn't change the formatted text (e.g. only the source's link preview changed)
+      if (!error.response?.description?.includes('message is not modified')) {
+        throw error;
+      }
+    }
+
+    logger.info(`Copy ${copy.chatId}/${copy.textMessageId} updated`);
+    return true;
+  }
+
+  /**
+   * Delete every message of a sent copy
+   */
+  async deleteCopy(copy) {
+    await this.scheduler.schedule(copy.chatId, () => this.bot.telegram.deleteMessages(copy.chatId, copy.messageIds));
+    logger.info(`Copy ${copy.chatId}/${copy.messageIds.join(',')} deleted`);
+  }
+
   /**
    * Extract text from message object
    */
@@ -155,6 +335,8 @@ class BotHandler {
       text = message.text;
     } else if (message.caption) {
       text = message.caption;
+    } else if (message.mediaFiles?.length > 0 || message.hasMedia) {
+      return ''; // The media is the content (hasMedia: edits of media posts, see CopySync.handleEdit)
     } else {
       text = 'Message with no text content';
     }
@@ -163,29 +345,253 @@ class BotHandler {
   }
 
   /**
-   * Format message for sending
+   * Extract the message text as HTML, keeping its formatting and text links (MTProto entities)
+   */
+  extractMessageHtml(message) {
+    if (message?.message) {
+      return entitiesToHtml(message.message, message.entities);
+    }
+    return escapeHtml(this.extractMessageText(message));
+  }
+
+  /**
+   * Length of the visible text of a formatted message
+   */
+  getTextLength(text, parseMode) {
+    return parseMode === PARSE_MODE_MARKDOWN_V2 ? markdownV2TextLength(text) : htmlTextLength(text);
+  }
+
+  /**
+   * Get the template of a target chat, or the default template (null for the built-in format)
+   */
+  getTemplate(target) {
+    return this.chatTemplates.get(String(target)) || this.defaultTemplate;
+  }
+
+  /**
+   * Render a source message as the text and inline buttons of its copy in a target chat
+   * A source post too long for Telegram's message limit, with the summary and source line around it,
+   * is shortened and ends with an ellipsis
+   * Returns { text, parseMode, replyMarkup }
+   */
+  renderMessage(message, target = null) {
+    let rendered = this.renderText(message, target);
+    let length = this.getTextLength(rendered.text, rendered.parseMode);
+    let source = message.message || '';
+
+    while (length > MAX_MESSAGE_LENGTH && source) {
+      // Entities past the end are cut off with the text (see entitiesToHtml)
+      source = cutText(source, source.length - (length - MAX_MESSAGE_LENGTH) - 1);
+      const shortened = Object.assign(Object.create(message), { message: `${source}…` });
+      rendered = this.renderText(shortened, target);
+      length = this.getTextLength(rendered.text, rendered.parseMode);
+    }
+
+    if (length > MAX_MESSAGE_LENGTH) {
+      logger.warn(`Message ${message.id} is ${length} characters long even without its text, Telegram may reject it`);
+    }
+    return rendered;
+  }
+
+  /**
+   * Render the text and inline buttons of a copy, without length limits (see renderMessage)
+   */
+  renderText(message, target) {
+    const replyMarkup = this.buildKeyboard(message, target);
+    const template = this.getTemplate(target);
+    if (template) {
+      return { text: template.render(this.getTemplateValues(message)), parseMode: template.parseMode, replyMarkup };
+    }
+
+    const html = this.extractMessageHtml(message);
+    const date = message.date ? new Date(message.date * 1000).toLocaleString() : 'Unknown date';
+    return { text: this.formatMessage(html, message.id, date, message), parseMode: PARSE_MODE_HTML, replyMarkup };
+  }
+
+  /**
+   * Get the @username of a message's source channel, null for channels configured by ID
+   */
+  getSourceName(message) {
+    const channel = message.sourceChannel;
+    return channel && !/^-?\d+$/.test(channel) ? `@${channel}` : null;
+  }
+
+  /**
+   * Get the t.me link to the source post of a message
    */
-  formatMessage(text, messageId, date, originalMessage) {
-    // Escape HTML special characters
-    const escapeHtml = (str) => {
-      return str
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#039;');
+  getSourceLink(message) {
+    return getMessageLink(message.sourceChannel, message.id, message.peerId?.channelId);
+  }
+
+  /**
+   * Build the inline keyboard of a forwarded post: "View original" and, when the post names an
+   * apply URL or contact handle, "Apply"; then the 👍/👎 feedback buttons
+   * Feedback buttons are left out of private chats (personal job alerts)
+   * Returns undefined when buttons are disabled or there are none
+   */
+  buildKeyboard(message, target = null) {
+    const rows = [];
+
+    if (this.inlineButtons) {
+      const buttons = [];
+      const link = this.getSourceLink(message);
+      if (link) {
+        buttons.push({ text: '🔗 View original', url: link });
+      }
+      const applyLink = getApplyLink(message.job);
+      if (applyLink) {
+        buttons.push({ text: '✅ Apply', url: applyLink });
+      }
+      if (buttons.length > 0) {
+        rows.push(buttons);
+      }
+    }
+
+    const isPrivateChat = target !== null && /^\d+$/.test(String(target));
+    if (this.feedbackButtons && message.sourceChannel && !isPrivateChat) {
+      rows.push([
+        { text: '👍', callback_data: getFeedbackData(LABEL_JOB, message.sourceChannel, message.id) },
+        { text: '👎', callback_data: getFeedbackData(LABEL_NOISE, message.sourceChannel, message.id) }
+      ]);
+    }
+
+    return rows.length > 0 ? { inline_keyboard: rows } : undefined;
+  }
+
+  /**
+   * Get the values a message template can use (see TEMPLATE_FIELDS in messageTemplate.js)
+   */
+  getTemplateValues(message) {
+    const job = message.job || {};
+
+    return {
+      // HTML templates keep the post's formatting and links, MarkdownV2 templates get the plain text
+      text: new FormattedText(message.message || message.text || message.caption || '', this.extractMessageHtml(message)),
+      date: message.date ? new Date(message.date * 1000) : null,
+      channel: this.getSourceName(message) || message.sourceChannel || null,
+      link: this.getSourceLink(message),
+      messageId: message.id,
+      title: job.title,
+      company: job.company,
+      location: job.location,
+      workMode: job.workMode,
+      employmentType: job.employmentType,
+      seniority: job.seniority,
+      salary: job.salary && this.formatSalary(job.salary),
+      deadline: job.deadline && (job.deadline.date || job.deadline.text),
+      contact: job.contact,
+      email: job.email,
+      applyUrl: job.applyUrl,
+      skippedAttachments: message.skippedMediaCount || null,
+      score: message.match ? message.match.score : null,
+      keywords: message.match?.matchedKeywords.map(({ keyword }) => keyword).join(', '),
+      jobProbability: message.match?.classifier ? `${Math.round(message.match.classifier.probability * 100)}%` : null
     };
+  }
 
-    const escapedText = escapeHtml(text);
+  /**
+   * Format salary fields as "50,000–70,000 ETB/month"
+   */
+  formatSalary(salary) {
+    if (salary.min === null) {
+      return salary.text;
+    }
+
+    const amount = salary.max !== null && salary.max !== salary.min
+      ? `${salary.min.toLocaleString('en-US')}–${salary.max.toLocaleString('en-US')}`
+      : salary.min.toLocaleString('en-US');
+    const currency = salary.currency ? ` ${salary.currency}` : '';
+    const period = salary.period ? `/${salary.period}` : '';
+    return `${amount}${currency}${period}`;
+  }
+
+  /**
+   * Build a summary of extracted job fields (see jobParser.js)
+   * Returns an empty string when nothing useful was extracted
+   */
+  formatJobSummary(job) {
+    if (!job) return '';
+
+    const details = [
+      job.company && `🏢 ${job.company}`,
+      job.location && `📍 ${job.location}`,
+      job.workMode && `🏠 ${job.workMode}`,
+      job.employmentType && `🕒 ${job.employmentType}`,
+      job.seniority && `📈 ${job.seniority}`,
+      job.salary && `💰 ${this.formatSalary(job.salary)}`,
+      job.deadline && `⏰ ${job.deadline.date || job.deadline.text}`
+    ].filter(Boolean);
+
+    let summary = '';
+    if (job.title) {
+      summary += `<b>${escapeHtml(job.title)}</b>\n`;
+    }
+    if (details.length > 0) {
+      summary += `${escapeHtml(details.join(' · '))}\n`;
+    }
+    return summary;
+  }
+
+  /**
+   * Format the one-line digest entry of a post: the title linked to the original post, then
+   * company, location, work mode and salary
+   * Posts without an extracted title use their first line
+   */
+  formatDigestLine(message) {
+    const job = message.job || {};
+    const firstLine = (message.message || message.text || message.caption || '')
+      .split('\n')
+      .map(line => line.trim())
+      .find(Boolean);
+
+    const title = truncate(job.title || firstLine || 'Job post', MAX_DIGEST_TITLE_LENGTH);
+    const link = this.getSourceLink(message);
+    const details = [
+      job.company,
+      job.location,
+      job.workMode,
+      job.salary && `💰 ${this.formatSalary(job.salary)}`
+    ].filter(Boolean);
+
+    let line = link ? `• <a href="${escapeHtml(link)}">${escapeHtml(title)}</a>` : `• ${escapeHtml(title)}`;
+    if (details.length > 0) {
+      line += ` · ${escapeHtml(truncate(details.join(' · '), MAX_DIGEST_DETAILS_LENGTH))}`;
+    }
+    return line;
+  }
+
+  /**
+   * Format message for sending
+   * The message text is expected as HTML (see extractMessageHtml)
+   */
+  formatMessage(html, messageId, date, originalMessage) {
+    const summary = this.formatJobSummary(originalMessage?.job);
     
     // Build formatted message
     let formatted = `<b>💼 New Job Post</b>\n\n`;
-    formatted += `${escapedText}\n\n`;
+    if (summary) {
+      formatted += `${summary}\n`;
+    }
+    if (html) {
+      formatted += `${html}\n\n`;
+    }
+    if (originalMessage?.skippedMediaCount > 0) {
+      formatted += `<i>📎 ${originalMessage.skippedMediaCount} attachment(s) not forwarded (too large or unavailable)</i>\n`;
+    }
+    const classifier = originalMessage?.match?.classifier;
+    if (classifier?.mode === CLASSIFIER_SUGGEST) {
+      const verdict = classifier.isJob ? 'job post' : 'probably noise';
+      formatted += `<i>🤖 Classifier: ${verdict} (${Math.round(classifier.probability * 100)}% job)</i>\n`;
+    }
     formatted += `<i>📅 Posted: ${date}</i>\n`;
     formatted += `<i>🆔 Message ID: ${messageId}</i>`;
 
-    // Add source channel info if available
-    if (originalMessage?.peerId) {
+    // Add source channel info if available, linked to the original post
+    const link = originalMessage ? this.getSourceLink(originalMessage) : null;
+    if (link) {
+      const name = this.getSourceName(originalMessage) || 'Channel';
+      formatted += `\n<i>📢 Source: <a href="${escapeHtml(link)}">${escapeHtml(name)}</a></i>`;
+    } else if (originalMessage?.peerId) {
       formatted += `\n<i>📢 Source: Channel</i>`;
     }
 
@@ -194,16 +600,18 @@ class BotHandler {
 
   /**
    * Send custom message to target channel
+   * extra: additional sendMessage options, e.g. { disable_web_page_preview: true }
    */
-  async sendMessage(text, targetChannel) {
+  async sendMessage(text, targetChannel, extra = {}) {
     try {
       if (!this.isReady) {
         throw new Error('Bot not initialized');
       }
 
-      await this.bot.telegram.sendMessage(targetChannel, text, {
-        parse_mode: 'HTML'
-      });
+      await this.scheduler.schedule(targetChannel, () => this.bot.telegram.sendMessage(targetChannel, text, {
+        parse_mode: 'HTML',
+        ...extra
+      }));
 
       logger.info(`Custom message sent to ${targetChannel}`);
       return true;
@@ -0,0 +1,177 @@
+/**
+ * Copy Sync module
+ * Keeps the copies posted to target chats in sync with their source posts:
+ * edits are applied to the copies, copies of deleted posts are marked as closed or deleted
+ */
+
+import { PARSE_MODE_MARKDOWN_V2 } from './messageTemplate.js';
+import logger from '../utils/logger.js';
+
+export const DELETE_MODE_MARK = 'mark';
+export const DELETE_MODE_DELETE = 'delete';
+
+// Put above the text of a copy whose source post was deleted
+const CLOSED_NOTICE = '🚫 <b>Closed</b>: the original post was deleted';
+const CLOSED_NOTICE_MARKDOWN_V2 = '🚫 *Closed*: the original post was deleted';
+
+/**
+ * Check whether a Bot API error means the copy was deleted from the target chat
+ */
+function isGoneError(error) {
+  const description = error.response?.description || '';
+  return description.includes('message to edit not found') || description.includes('message to delete not found');
+}
+
+/**
+ * CopySync class for syncing edits and deletions of source posts
+ *
+ * Copy: { id, channel, messageId, chatId, target, messageIds, textMessageId, textKind, text, parseMode, skippedMediaCount,
+ *         sourceEditDate, createdAt }
+ * A copy is kept for every target a post was sent to, until it leaves the sync window
+ */
+class CopySync {
+  /**
+   * @param {MessageStorage} storage - Persists copies
+   * @param {BotHandler} botHandler - Edits and deletes copies
+   * @param {Object} options
+   * @param {string} options.deleteMode - 'mark' to mark copies of deleted posts as closed, 'delete' to delete them
+   * @param {number} options.windowMs - How long after sending a copy is kept in sync
+   */
+  constructor(storage, botHandler, options = {}) {
+    this.storage = storage;
+    this.botHandler = botHandler;
+    this.deleteMode = options.deleteMode || DELETE_MODE_MARK;
+    this.windowMs = options.windowMs ?? 72 * 60 * 60 * 1000;
+    logger.info(`CopySync initialized (deleted posts: ${this.deleteMode})`);
+  }
+
+  /**
+   * Remember a copy sent by BotHandler.forwardMessage
+   * @param {string} channel - Source channel
+   * @param {Object} message - Source message
+   * @param {Object} sent - Result of forwardMessage
+   */
+  record(channel, message, sent, now = Date.now()) {
+    return this.storage.addCopy({
+      channel,
+      messageId: message.id,
+      chatId: String(sent.chatId),
+      target: String(sent.target),
+      messageIds: sent.messageIds,
+      textMessageId: sent.textMessageId,
+      textKind: sent.textKind,
+      text: sent.text,
+      parseMode: sent.parseMode,
+      skippedMediaCount: message.skippedMediaCount || 0,
+      sourceEditDate: message.editDate || 0,
+      createdAt: now
+    });
+  }
+
+  /**
+   * Get the copies still kept in sync
+   */
+  getTrackedCopies(now = Date.now()) {
+    return this.storage.getCopiesSince(now - this.windowMs);
+  }
+
+  /**
+   * Stop syncing copies that left the sync window
+   */
+  prune(now = Date.now()) {
+    this.storage.pruneCopies(now - this.windowMs);
+  }
+
+  /**
+   * Apply an edited source post to its copies
+   * Copies already showing this edit (same edit date) are left alone
+   * Returns the number of updated copies
+   */
+  async handleEdit(channel, message) {
+    const editDate = message.editDate || 0;
+    const copies = this.storage.getCopies(channel, message.id).filter(copy => editDate > copy.sourceEditDate);
+    if (copies.length === 0) {
+      return 0;
+    }
+
+    let updated = 0;
+
+    for (const copy of copies) {
+      try {
+        // Edits come without downloaded media: take it from the copy, a text-only copy is a single message
+        message.hasMedia = copy.textKind === 'caption' || copy.messageIds.length > 1;
+        message.skippedMediaCount = copy.skippedMediaCount || 0;
+
+        // Rendered per copy, target chats can have different templates
+        const { text, parseMode, replyMarkup } = this.botHandler.renderMessage(message, copy.target);
+        const edited = await this.botHandler.editCopy(copy, text, parseMode, replyMarkup);
+        this.storage.updateCopy(edited
+          ? { ...copy, text, parseMode, sourceEditDate: editDate }
+          : { ...copy, sourceEditDate: editDate });
+        if (edited) updated++;
+      } catch (error) {
+        if (isGoneError(error)) {
+          logger.warn(`Copy ${copy.chatId}/${copy.textMessageId} no longer exists, not syncing it anymore`);
+          this.storage.removeCopy(copy.id);
+          continue;
+        }
+
+        // The edit is tried once, later syncs only pick up newer edits
+        logger.error(`Error updating copy ${copy.chatId}/${copy.textMessageId} of ${channel}/${message.id}:`, error);
+        this.storage.updateCopy({ ...copy, sourceEditDate: editDate });
+      }
+    }
+
+    if (updated > 0) {
+      logger.info(`✏️  Edit of ${channel}/${message.id} applied to ${updated} cop${updated === 1 ? 'y' : 'ies'}`);
+    }
+    return updated;
+  }
+
+  /**
+   * Mark or delete the copies of deleted source posts, depending on the delete mode
+   * Returns the number of handled copies
+   */
+  async handleDelete(channel, messageIds) {
+    let handled = 0;
+
+    for (const messageId of messageIds) {
+      for (const copy of this.storage.getCopies(channel, messageId)) {
+        try {
+          if (this.deleteMode === DELETE_MODE_DELETE) {
+            await this.botHandler.deleteCopy(copy);
+          } else {
+            // The buttons are dropped, the original post is gone
+            const notice = copy.parseMode === PARSE_MODE_MARKDOWN_V2 ? CLOSED_NOTICE_MARKDOWN_V2 : CLOSED_NOTICE;
+            const marked = await this.botHandler.editCopy(copy, `${notice}\n\n${copy.text}`) ||
+              // A caption with the notice would get too long, the notice replaces it
+              await this.botHandler.editCopy(copy, notice);
+            if (!marked) {
+              logger.warn(`Copy ${copy.chatId}/${copy.textMessageId} of deleted ${channel}/${messageId} could not be marked as closed`);
+              this.storage.removeCopy(copy.id);
+              continue;
+            }
+          }
+          handled++;
+        } catch (error) {
+          if (!isGoneError(error)) {
+            logger.error(`Error updating copy ${copy.chatId}/${copy.textMessageId} of deleted ${channel}/${messageId}:`, error);
+          }
+        }
+
+        // Nothing left to sync once the source is gone
+        this.storage.removeCopy(copy.id);
+      }
+    }
+
+    if (handled > 0) {
+      logger.info(
+        `🗑️  ${handled} cop${handled === 1 ? 'y' : 'ies'} of deleted posts in ${channel} ` +
+        `${this.deleteMode === DELETE_MODE_DELETE ? 'deleted' : 'marked as closed'}`
+      );
+    }
+    return handled;
+  }
+}
+
+export default CopySync;
@@ -0,0 +1,203 @@
+/**
+ * Digest module
+ * In digest mode matches are not sent one by one: their one-line summaries are collected
+ * and sent to each target as a periodic digest, hourly or at fixed times of the day
+ * Pending entries are kept in storage, so they survive restarts
+ */
+
+import { formatDate } from './messageTemplate.js';
+import { htmlTextLength } from '../utils/html.js';
+import logger from '../utils/logger.js';
+
+// Visible characters of digest lines per message, leaves room for the header below Telegram's 4096
+const MAX_DIGEST_LENGTH = 4000;
+
+// Setting holding the last schedule slot a digest was sent for
+const LAST_SLOT_SETTING = 'digestLastSlot';
+
+const TIME_REGEX = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Parse a digest schedule: "hourly", "daily" (at 09:00) or times of the day like "09:00,18:00"
+ * Returns { hourly: true } or { hourly: false, times: ['09:00', '18:00'] }
+ * @throws {Error} when the schedule is invalid
+ */
+export function parseSchedule(value) {
+  const schedule = (value || 'daily').trim().toLowerCase();
+  if (schedule === 'hourly') {
+    return { hourly: true };
+  }
+  if (schedule === 'daily') {
+    return { hourly: false, times: ['09:00'] };
+  }
+
+  const times = schedule.split(',').map(time => time.trim()).filter(Boolean).map(time => {
+    const match = time.match(TIME_REGEX);
+    if (!match) {
+      throw new Error(`Invalid time "${time}" (expected "hourly", "daily" or times like "09:00,18:00")`);
+    }
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+  });
+  if (times.length === 0) {
+    throw new Error('Schedule must be "hourly", "daily" or a list of times like "09:00,18:00"');
+  }
+
+  return { hourly: false, times: [...new Set(times)].sort() };
+}
+
+/**
+ * Digest class for collecting matches and sending them as periodic summaries
+ *
+ * Entry: { id, channel, messageId, target, line, createdAt }
+ * line is the post's summary in HTML (see BotHandler.formatDigestLine)
+ */
+class Digest {
+  /**
+   * @param {MessageStorage} storage - Persists pending entries and the last sent slot
+   * @param {BotHandler} botHandler - Formats entries and sends digests
+   * @param {Object} options
+   * @param {Object} options.schedule - Result of parseSchedule()
+   * @param {string} options.timezone - IANA timezone of the schedule, e.g. 'Africa/Addis_Ababa'
+   */
+  constructor(storage, botHandler, options = {}) {
+    this.storage = storage;
+    this.botHandler = botHandler;
+    this.schedule = options.schedule || parseSchedule('daily');
+    this.timezone = options.timezone || 'UTC';
+
+    const when = this.schedule.hourly ? 'hourly' : `daily at ${this.schedule.times.join(', ')} ${this.timezone}`;
+    logger.info(`Digest mode enabled, digests are sent ${when}`);
+  }
+
+  /**
+   * Add a matched post to the next digest of a target
+   */
+  add(channel, message, target, now = Date.now()) {
+    return this.storage.addDigestEntry({
+      channel,
+      messageId: message.id,
+      target: String(target),
+      line: this.botHandler.formatDigestLine(message),
+      createdAt: now
+    });
+  }
+
+  /**
+   * Get the number of posts waiting for a digest
+   */
+  getPendingCount() {
+    return this.storage.getDigestEntries().length;
+  }
+
+  /**
+   * Get the schedule slot a time falls in, e.g. "2024-05-01 09:00"
+   * A digest is due once per slot
+   */
+  getSlot(now = Date.now()) {
+    const date = new Date(now);
+    const today = formatDate(date, 'YYYY-MM-DD', this.timezone);
+    const time = formatDate(date, 'HH:mm', this.timezone);
+
+    if (this.schedule.hourly) {
+      return `${today} ${time.slice(0, 2)}:00`;
+    }
+
+    const passed = this.schedule.times.filter(t => t <= time);
+    if (passed.length > 0) {
+      return `${today} ${passed[passed.length - 1]}`;
+    }
+
+    // Before the first time of the day, the slot is yesterday's last one
+    const yesterday = formatDate(new Date(date.getTime() - 24 * 60 * 60 * 1000), 'YYYY-MM-DD', this.timezone);
+    return `${yesterday} ${this.schedule.times[this.schedule.times.length - 1]}`;
+  }
+
+  /**
+   * Send the digests when a new schedule slot has started
+   * A slot missed while the scraper was down is sent right after the restart
+   * Returns the number of posts sent
+   */
+  async sendIfDue(now = Date.now()) {
+    const slot = this.getSlot(now);
+    const lastSlot = this.storage.getSetting(LAST_SLOT_SETTING, null);
+
+    // First run: wait for the next slot instead of sending right away
+    if (lastSlot === null) {
+      this.storage.setSetting(LAST_SLOT_SETTING, slot);
+      return 0;
+    }
+    if (slot === lastSlot) {
+      return 0;
+    }
+
+    const sent = await this.send();
+    this.storage.setSetting(LAST_SLOT_SETTING, slot);
+    return sent;
+  }
+
+  /**
+   * Send the pending entries of every target
+   * Entries whose message couldn't be sent stay pending for the next digest
+   * Returns the number of posts sent
+   */
+  async send() {
+    const byTarget = new Map();
+    for (const entry of this.storage.getDigestEntries()) {
+      if (!byTarget.has(entry.target)) {
+        byTarget.set(entry.target, []);
+      }
+      byTarget.get(entry.target).push(entry);
+    }
+
+    let sent = 0;
+
+    for (const [target, entries] of byTarget) {
+      let remaining = entries.length;
+      for (const message of this.buildMessages(entries)) {
+        try {
+          await this.botHandler.sendMessage(message.text, target, { disable_web_page_preview: true });
+          this.storage.removeDigestEntries(message.ids);
+          remaining -= message.ids.length;
+          sent += message.ids.length;
+        } catch (error) {
+          logger.error(`Error sending digest to ${target}, ${remaining} post(s) kept for the next digest:`, error);
+          break;
+        }
+      }
+    }
+
+    if (sent > 0) {
+      logger.info(`📰 Digest with ${sent} post(s) sent to ${byTarget.size} target(s)`);
+    }
+    return sent;
+  }
+
+  /**
+   * Build the digest messages of a target's entries
+   * Entries are never split across messages; each message stays below Telegram's length limit
+   * Returns [{ text, ids }]
+   */
+  buildMessages(entries) {
+    const chunks = [];
+    let current = null;
+
+    for (const entry of entries) {
+      const length = htmlTextLength(entry.line) + 1;
+      if (!current || current.length + length > MAX_DIGEST_LENGTH) {
+        current = { lines: [], ids: [], length: 0 };
+        chunks.push(current);
+      }
+      current.lines.push(entry.line);
+      current.ids.push(entry.id);
+      current.length += length;
+    }
+
+    return chunks.map((chunk, index) => {
+      const part = chunks.length > 1 ? ` (part ${index + 1}/${chunks.length})` : '';
+      const header = `<b>📰 Job digest</b>: ${entries.length} new post${entries.length === 1 ? '' : 's'}${part}`;
+      return { text: `${header}\n\n${chunk.lines.join('\n')}`, ids: chunk.ids };
+    });
+  }
+}
+
+export default Digest;
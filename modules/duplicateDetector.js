@@ -0,0 +1,152 @@
+/**
+ * Duplicate Detector module
+ * Detects near-duplicate job posts (reposts, cross-posts) with SimHash content fingerprints
+ */
+
+import { tokenize } from './language.js';
+import logger from '../utils/logger.js';
+
+const HASH_BITS = 64n;
+const HASH_MASK = (1n << HASH_BITS) - 1n;
+const FNV_OFFSET = 0xcbf29ce484222325n;
+const FNV_PRIME = 0x100000001b3n;
+const SHINGLE_SIZE = 3;
+
+// Links and handles often change between reposts (tracking params, different channel mentions)
+const VOLATILE_PARTS = /https?:\/\/\S+|@\w+/g;
+
+/**
+ * 64-bit FNV-1a hash of a string
+ * Finished with the MurmurHash3 mixer, plain FNV leaves the low bits poorly distributed
+ */
+function hash64(str) {
+  let hash = FNV_OFFSET;
+  for (const byte of Buffer.from(str, 'utf-8')) {
+    hash ^= BigInt(byte);
+    hash = (hash * FNV_PRIME) & HASH_MASK;
+  }
+
+  hash ^= hash >> 33n;
+  hash = (hash * 0xff51afd7ed558ccdn) & HASH_MASK;
+  hash ^= hash >> 33n;
+  hash = (hash * 0xc4ceb9fe1a85ec53n) & HASH_MASK;
+  hash ^= hash >> 33n;
+  return hash;
+}
+
+/**
+ * Count differing bits between two fingerprints
+ */
+function hammingDistance(a, b) {
+  let diff = a ^ b;
+  let count = 0;
+  while (diff > 0n) {
+    diff &= diff - 1n;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * DuplicateDetector class for content-based duplicate detection
+ */
+class DuplicateDetector {
+  /**
+   * @param {MessageStorage} storage - Stores fingerprints of forwarded posts
+   * @param {Object} options
+   * @param {number} options.threshold - Minimum similarity (0-1) for a post to count as a duplicate
+   * @param {number} options.windowMs - How far back to look for originals
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.threshold = options.threshold ?? 0.8;
+    this.windowMs = options.windowMs ?? 72 * 60 * 60 * 1000;
+    logger.info(`DuplicateDetector initialized (threshold ${this.threshold}, window ${this.windowMs / 3600000}h)`);
+  }
+
+  /**
+   * Compute a SimHash fingerprint over word shingles of the text
+   * Similar texts get fingerprints that differ in few bits
+   * Returns a 16-char hex string, or null when the text has no words
+   */
+  fingerprint(text) {
+    const tokens = tokenize((text || '').replace(VOLATILE_PARTS, ' '));
+    if (tokens.length === 0) {
+      return null;
+    }
+
+    const shingles = [];
+    if (tokens.length < SHINGLE_SIZE) {
+      shingles.push(tokens.join(' '));
+    } else {
+      for (let i = 0; i <= tokens.length - SHINGLE_SIZE; i++) {
+        shingles.push(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+      }
+    }
+
+    const weights = new Array(Number(HASH_BITS)).fill(0);
+    for (const shingle of shingles) {
+      const hash = hash64(shingle);
+      for (let bit = 0; bit < weights.length; bit++) {
+        weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+      }
+    }
+
+    let fingerprint = 0n;
+    weights.forEach((weight, bit) => {
+      if (weight > 0) {
+        fingerprint |= 1n << BigInt(bit);
+      }
+    });
+
+    return fingerprint.toString(16).padStart(16, '0');
+  }
+
+  /**
+   * Similarity of two fingerprints, from 0 (unrelated) to 1 (identical)
+   */
+  similarity(a, b) {
+    const distance = hammingDistance(BigInt(`0x${a}`), BigInt(`0x${b}`));
+    return 1 - distance / Number(HASH_BITS);
+  }
+
+  /**
+   * Find a previously forwarded post the fingerprint duplicates
+   * Returns { channel, messageId, date, similarity } for the closest match, or null
+   */
+  findDuplicate(fingerprint, now = Date.now()) {
+    if (!fingerprint) {
+      return null;
+    }
+
+    let best = null;
+    for (const entry of this.storage.getFingerprints(now - this.windowMs)) {
+      const similarity = this.similarity(fingerprint, entry.fingerprint);
+      if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+        best = { ...entry, similarity };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Remember a forwarded post so later reposts are detected
+   */
+  remember(channel, messageId, fingerprint, date = Date.now()) {
+    if (!fingerprint) {
+      return;
+    }
+
+    this.storage.addFingerprint({ channel, messageId, fingerprint, date });
+  }
+
+  /**
+   * Drop fingerprints older than the detection window
+   */
+  prune(now = Date.now()) {
+    this.storage.pruneFingerprints(now - this.windowMs);
+  }
+}
+
+export default DuplicateDetector;
@@ -0,0 +1,304 @@
+/**
+ * Filter Expression module
+ * Parses boolean filter expressions such as `(react OR vue) AND remote -intern`
+ *
+ * Syntax:
+ * - Terms: `react`, `c++`, `node.js`, `develop*`, quoted phrases: `"full stack"`, regexes: `/go(lang)?/`
+ * - Operators: `AND`, `OR`, `NOT` (case-insensitive), `-term` is shorthand for `NOT term`
+ * - Adjacent terms are combined with AND: `react remote` === `react AND remote`
+ * - Parentheses group terms: `(react OR vue)` means "must contain one of"
+ * - Precedence: NOT binds tighter than AND, AND binds tighter than OR
+ */
+
+/**
+ * Error thrown for invalid filter expressions
+ * Carries the position of the offending part of the expression
+ */
+export class FilterSyntaxError extends Error {
+  constructor(message, source, position) {
+    const pointer = `${' '.repeat(position)}^`;
+    super(`${message} (at position ${position})\n  ${source}\n  ${pointer}`);
+    this.name = 'FilterSyntaxError';
+    this.source = source;
+    this.position = position;
+  }
+}
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+/**
+ * Split an expression into tokens
+ * Each token keeps its start position for error reporting
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+      continue;
+    }
+
+    // A leading minus negates the following term, phrase or group
+    if (char === '-') {
+      tokens.push({ type: 'NOT', value: '-', position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      const end = source.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new FilterSyntaxError('Unterminated quoted phrase', source, i);
+      }
+      const phrase = source.slice(i + 1, end).trim();
+      if (!phrase) {
+        throw new FilterSyntaxError('Empty quoted phrase', source, i);
+      }
+      tokens.push({ type: 'TERM', value: phrase.toLowerCase(), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    // Regex term: /pattern/flags, may contain spaces and parentheses
+    if (char === '/') {
+      let end = i + 1;
+      while (end < source.length && source[end] !== '/') {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      if (end >= source.length) {
+        throw new FilterSyntaxError('Unterminated regex term', source, i);
+      }
+      const patternEnd = end;
+      end++;
+      while (end < source.length && /[a-z]/.test(source[end])) {
+        end++;
+      }
+      try {
+        new RegExp(source.slice(i + 1, patternEnd), source.slice(patternEnd + 1, end));
+      } catch (error) {
+        throw new FilterSyntaxError(`Invalid regex term: ${error.message}`, source, i);
+      }
+      tokens.push({ type: 'TERM', value: source.slice(i, end), position: i });
+      i = end;
+      continue;
+    }
+
+    // Bare term: everything up to whitespace, a parenthesis or a quote
+    let end = i;
+    while (end < source.length && !/[\s()"]/.test(source[end])) {
+      end++;
+    }
+    const word = source.slice(i, end);
+    const upper = word.toUpperCase();
+
+    if (OPERATORS.has(upper)) {
+      tokens.push({ type: upper, value: word, position: i });
+    } else {
+      tokens.push({ type: 'TERM', value: word.toLowerCase(), position: i });
+    }
+    i = end;
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser producing an expression tree
+ * Nodes: { type: 'term', value }, { type: 'not', operand }, { type: 'and' | 'or', operands }
+ */
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  error(message, token) {
+    const position = token ? token.position : this.source.length;
+    return new FilterSyntaxError(message, this.source, position);
+  }
+
+  describe(token) {
+    return token.type === 'TERM' ? `term "${token.value}"` : `"${token.value || token.type}"`;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw this.error('Filter expression is empty', null);
+    }
+
+    const node = this.parseOr();
+
+    const token = this.peek();
+    if (token) {
+      throw this.error(
+        token.type === ')' ? 'Unexpected ")" without matching "("' : `Unexpected ${this.describe(token)}`,
+        token
+      );
+    }
+
+    return node;
+  }
+
+  parseOr() {
+    const operands = [this.parseAnd()];
+
+    while (this.peek()?.type === 'OR') {
+      const operator = this.next();
+      operands.push(this.parseAnd(operator));
+    }
+
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  }
+
+  parseAnd(previousOperator = null) {
+    const operands = [this.parseUnary(previousOperator)];
+
+    for (;;) {
+      const token = this.peek();
+      if (!token || token.type === 'OR' || token.type === ')') {
+        break;
+      }
+
+      // Explicit AND, or implicit AND between adjacent terms
+      if (token.type === 'AND') {
+        this.next();
+        operands.push(this.parseUnary(token));
+      } else {
+        operands.push(this.parseUnary(null));
+      }
+    }
+
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  }
+
+  parseUnary(previousOperator) {
+    const token = this.peek();
+
+    if (token?.type === 'NOT') {
+      this.next();
+      return { type: 'not', operand: this.parseUnary(token) };
+    }
+
+    return this.parsePrimary(previousOperator);
+  }
+
+  parsePrimary(previousOperator) {
+    const token = this.next();
+
+    if (!token) {
+      throw this.error(
+        previousOperator
+          ? `Expected a term after ${this.describe(previousOperator)}`
+          : 'Unexpected end of expression',
+        null
+      );
+    }
+
+    if (token.type === 'TERM') {
+      return { type: 'term', value: token.value };
+    }
+
+    if (token.type === '(') {
+      if (this.peek()?.type === ')') {
+        throw this.error('Empty group "()"', token);
+      }
+      const node = this.parseOr();
+      if (this.peek()?.type !== ')') {
+        throw this.error('Missing ")" to close this group', token);
+      }
+      this.next();
+      return node;
+    }
+
+    if (token.type === ')') {
+      throw this.error(
+        previousOperator
+          ? `Expected a term after ${this.describe(previousOperator)}`
+          : 'Unexpected ")" without matching "("',
+        token
+      );
+    }
+
+    // AND / OR where a term was expected
+    throw this.error(`Unexpected operator ${this.describe(token)}`, token);
+  }
+}
+
+/**
+ * FilterExpression class for parsed boolean filter expressions
+ */
+class FilterExpression {
+  /**
+   * @param {string} source - Expression text
+   * @throws {FilterSyntaxError} when the expression is invalid
+   */
+  constructor(source) {
+    this.source = String(source).trim();
+    this.tree = new Parser(this.source).parse();
+  }
+
+  /**
+   * Get all distinct terms used in the expression
+   */
+  getTerms() {
+    const terms = new Set();
+    const visit = (node) => {
+      if (node.type === 'term') {
+        terms.add(node.value);
+      } else if (node.type === 'not') {
+        visit(node.operand);
+      } else {
+        node.operands.forEach(visit);
+      }
+    };
+    visit(this.tree);
+    return [...terms];
+  }
+
+  /**
+   * Evaluate the expression
+   * @param {Function} matchTerm - Called with a term, returns whether the text contains it
+   */
+  evaluate(matchTerm) {
+    const visit = (node) => {
+      switch (node.type) {
+        case 'term':
+          return matchTerm(node.value);
+        case 'not':
+          return !visit(node.operand);
+        case 'and':
+          return node.operands.every(visit);
+        case 'or':
+          return node.operands.some(visit);
+        default:
+          return false;
+      }
+    };
+    return visit(this.tree);
+  }
+
+  toString() {
+    return this.source;
+  }
+}
+
+export default FilterExpression;
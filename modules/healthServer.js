@@ -0,0 +1,170 @@
+/**
+ * Health Server module
+ * Optional HTTP server for monitoring:
+ * - GET /healthz - liveness, 200 while the process is up
+ * - GET /readyz - readiness, 200 once the MTProto client is connected, the bot is ready and polling runs
+ * - GET /metrics - counters and gauges in the Prometheus text format
+ */
+
+import http from 'http';
+import logger from '../utils/logger.js';
+
+const METRIC_PREFIX = 'telegram_scraper_';
+
+/**
+ * Format one metric in the Prometheus text exposition format
+ * value is a number, or { suffix: number } for metrics with several samples (e.g. a summary's _sum and _count)
+ */
+function formatMetric(name, type, help, value) {
+  const metric = `${METRIC_PREFIX}${name}`;
+  const samples = typeof value === 'object' ? Object.entries(value) : [['', value]];
+  return [
+    `# HELP ${metric} ${help}`,
+    `# TYPE ${metric} ${type}`,
+    ...samples.map(([suffix, sample]) => `${metric}${suffix} ${Number(sample) || 0}`)
+  ].join('\n');
+}
+
+/**
+ * HealthServer class for exposing health checks and metrics
+ */
+class HealthServer {
+  /**
+   * @param {JobScraperApp} app - Application whose state and stats are reported
+   * @param {Object} options
+   * @param {number} options.port - Port to listen on
+   * @param {string} options.host - Interface to listen on, e.g. '0.0.0.0' for all
+   */
+  constructor(app, options = {}) {
+    this.app = app;
+    this.port = options.port;
+    this.host = options.host || '127.0.0.1';
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * A port that can't be used is logged, the scraper keeps running without the server
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    await new Promise((resolve) => {
+      this.server.once('error', (error) => {
+        logger.error(`Health server could not listen on ${this.host}:${this.port}:`, error);
+        this.server = null;
+        resolve();
+      });
+      this.server.listen(this.port, this.host, () => {
+        logger.info(`🩺 Health server listening on http://${this.host}:${this.port} (/healthz, /readyz, /metrics)`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  handleRequest(req, res) {
+    try {
+      const path = new URL(req.url, 'http://localhost').pathname;
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        this.send(res, 405, { error: 'Method not allowed' });
+      } else if (path === '/healthz') {
+        this.send(res, 200, { status: 'ok', uptimeSeconds: Math.floor((Date.now() - this.app.stats.startedAt) / 1000) });
+      } else if (path === '/readyz') {
+        const checks = this.getReadiness();
+        const ready = Object.values(checks).every(Boolean);
+        this.send(res, ready ? 200 : 503, { status: ready ? 'ready' : 'not ready', checks });
+      } else if (path === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(req.method === 'HEAD' ? undefined : this.getMetrics());
+      } else {
+        this.send(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      logger.error('Error handling health server request:', error);
+      this.send(res, 500, { error: 'Internal error' });
+    }
+  }
+
+  /**
+   * Send a JSON response
+   */
+  send(res, status, body) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Get the readiness checks, each true when passing
+   */
+  getReadiness() {
+    const { app } = this;
+    return {
+      // The client's own state, the isConnected flag stays set while GramJS reconnects
+      telegram: Boolean(app.telegramClient?.client?.connected),
+      bot: Boolean(app.botHandler?.isReady),
+      running: app.isRunning
+    };
+  }
+
+  /**
+   * Get the metrics in the Prometheus text format
+   */
+  getMetrics() {
+    const { app } = this;
+    const { stats } = app;
+    const readiness = this.getReadiness();
+
+    const metrics = [
+      formatMetric('up', 'gauge', 'Whether the scraper is running (1) or stopped (0)', app.isRunning ? 1 : 0),
+      formatMetric('ready', 'gauge', 'Whether every readiness check passes', Object.values(readiness).every(Boolean) ? 1 : 0),
+      formatMetric('telegram_connected', 'gauge', 'Whether the MTProto client is connected', readiness.telegram ? 1 : 0),
+      formatMetric('bot_ready', 'gauge', 'Whether the Bot API client is ready', readiness.bot ? 1 : 0),
+      formatMetric('paused', 'gauge', 'Whether polling is paused with /pause', app.isPaused ? 1 : 0),
+      formatMetric('start_time_seconds', 'gauge', 'Start time of the scraper (unix seconds)', stats.startedAt / 1000),
+      formatMetric('last_poll_timestamp_seconds', 'gauge', 'Time of the last completed poll (unix seconds), 0 before the first',
+        stats.lastPollAt ? stats.lastPollAt / 1000 : 0),
+      formatMetric('polls_total', 'counter', 'Completed polls of the source channels', stats.polls),
+      formatMetric('poll_errors_total', 'counter', 'Polls that failed', stats.pollErrors),
+      formatMetric('poll_duration_seconds', 'summary', 'Duration of completed polls', {
+        _sum: stats.pollDurationMs / 1000,
+        _count: stats.polls
+      }),
+      formatMetric('last_poll_duration_seconds', 'gauge', 'Duration of the last completed poll', stats.lastPollDurationMs / 1000),
+      formatMetric('messages_seen_total', 'counter', 'Messages checked against the filter', stats.messagesSeen),
+      formatMetric('matches_total', 'counter', 'Messages that matched the filter', stats.matched),
+      formatMetric('forwards_total', 'counter', 'Job posts forwarded (or sent in a digest)', stats.forwarded),
+      formatMetric('duplicates_total', 'counter', 'Matches skipped as near-duplicates', stats.duplicates),
+      formatMetric('delivery_failures_total', 'counter', 'Deliveries that failed and were queued for a retry', stats.failed),
+      formatMetric('reconnect_attempts_total', 'counter', 'Attempts to reconnect the MTProto client', stats.reconnects)
+    ];
+
+    if (app.storage) {
+      metrics.push(
+        formatMetric('storage_processed_messages', 'gauge', 'Processed message IDs in storage', app.storage.getCount()),
+        formatMetric('storage_size_bytes', 'gauge', 'Size of the storage file', app.storage.getSize())
+      );
+    }
+
+    return `${metrics.join('\n')}\n`;
+  }
+}
+
+export default HealthServer;
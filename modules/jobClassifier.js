@@ -0,0 +1,262 @@
+/**
+ * Job Classifier module
+ * A naive Bayes classifier that runs next to the keyword filter and learns what the team considers
+ * a job post: from 👍/👎 buttons on forwarded posts and from a labelled JSONL file
+ *
+ * Modes:
+ * - gate: posts the classifier considers noise are dropped, even when the keywords match
+ * - boost: the classifier's verdict is added to the keyword score (see JobFilter.evaluate)
+ * - suggest: nothing is blocked, forwarded posts show the classifier's verdict
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import NaiveBayes from './naiveBayes.js';
+import logger from '../utils/logger.js';
+
+export const CLASSIFIER_GATE = 'gate';
+export const CLASSIFIER_BOOST = 'boost';
+export const CLASSIFIER_SUGGEST = 'suggest';
+export const CLASSIFIER_MODES = [CLASSIFIER_GATE, CLASSIFIER_BOOST, CLASSIFIER_SUGGEST];
+
+export const LABEL_JOB = 'job';
+export const LABEL_NOISE = 'noise';
+
+// Callback data of feedback buttons: fb:<label>:<channel>:<messageId>
+const FEEDBACK_DATA_REGEX = /^fb:(job|noise):(.+):(\d+)$/;
+
+/**
+ * Get the callback data of a feedback button (at most 64 bytes, Telegram's limit)
+ */
+export function getFeedbackData(label, channel, messageId) {
+  return `fb:${label}:${channel}:${messageId}`;
+}
+
+/**
+ * JobClassifier class for learning from team feedback
+ */
+class JobClassifier {
+  /**
+   * @param {MessageStorage} storage - Provides the text of forwarded posts (see saveJob) for feedback
+   * @param {Object} options
+   * @param {string} options.mode - 'gate', 'boost' or 'suggest'
+   * @param {string} options.modelPath - JSON file the model is saved to
+   * @param {string} options.trainingFile - JSONL file of labelled posts, { "text": "...", "label": "job"|"noise" } per line
+   * @param {number} options.threshold - Job probability (0-1) from which a post counts as a job post
+   * @param {number} options.boostWeight - Max score added or removed in boost mode
+   * @param {number} options.minExamples - Posts of each label needed before the classifier is used
+   * @param {number[]} options.feedbackUserIds - Users whose 👍/👎 votes are learned, no buttons when empty
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.mode = options.mode || CLASSIFIER_SUGGEST;
+    this.modelPath = options.modelPath;
+    this.trainingFile = options.trainingFile || null;
+    this.threshold = options.threshold ?? 0.5;
+    this.boostWeight = options.boostWeight ?? 2;
+    this.minExamples = options.minExamples ?? 10;
+    this.feedbackUserIds = new Set((options.feedbackUserIds || []).map(Number));
+
+    this.load();
+    if (this.trainingFile) {
+      this.importTrainingFile();
+    }
+    logger.info(`JobClassifier initialized in ${this.mode} mode (${this.describe()})`);
+  }
+
+  /**
+   * Check whether feedback buttons are shown on forwarded posts
+   */
+  hasFeedback() {
+    return this.feedbackUserIds.size > 0;
+  }
+
+  /**
+   * Load the saved model
+   */
+  load() {
+    this.model = new NaiveBayes();
+    this.feedback = {}; // channel:messageId -> { label, text } of voted posts, so a changed vote replaces the old one
+    this.importedLines = 0; // lines of the training file already learned
+
+    try {
+      if (existsSync(this.modelPath)) {
+        const saved = JSON.parse(readFileSync(this.modelPath, 'utf-8'));
+        this.model = new NaiveBayes(saved.model);
+        this.feedback = saved.feedback || {};
+        this.importedLines = saved.importedLines || 0;
+      }
+    } catch (error) {
+      logger.error(`Error loading classifier model from ${this.modelPath}, starting untrained:`, error);
+    }
+  }
+
+  /**
+   * Save the model
+   * Writes to a temporary file first, so a crash mid-write can't corrupt the model
+   */
+  save() {
+    try {
+      const dir = dirname(this.modelPath);
+      if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+      }
+
+      const data = {
+        model: this.model.toJSON(),
+        feedback: this.feedback,
+        importedLines: this.importedLines,
+        lastUpdated: new Date().toISOString()
+      };
+      const tempPath = `${this.modelPath}.tmp`;
+      writeFileSync(tempPath, JSON.stringify(data), 'utf-8');
+      renameSync(tempPath, this.modelPath);
+    } catch (error) {
+      logger.error('Error saving classifier model:', error);
+    }
+  }
+
+  /**
+   * Learn the lines added to the training file since the last import
+   * The file is expected to grow by appending; invalid lines are skipped with a warning
+   */
+  importTrainingFile() {
+    let lines;
+    try {
+      lines = readFileSync(this.trainingFile, 'utf-8').split('\n');
+    } catch (error) {
+      logger.error(`Could not read classifier training file ${this.trainingFile}:`, error);
+      return;
+    }
+
+    // A trailing newline leaves an empty last line, which isn't complete yet
+    const complete = lines[lines.length - 1] === '' ? lines.length - 1 : lines.length;
+    if (complete < this.importedLines) {
+      logger.warn(
+        `Classifier training file ${this.trainingFile} has fewer lines than already learned ` +
+        `(${complete} < ${this.importedLines}), delete ${this.modelPath} to retrain from scratch`
+      );
+      return;
+    }
+
+    let learned = 0;
+    for (let i = this.importedLines; i < complete; i++) {
+      if (!lines[i].trim()) continue;
+
+      try {
+        const { text, label } = JSON.parse(lines[i]);
+        if (typeof text !== 'string' || ![LABEL_JOB, LABEL_NOISE].includes(label)) {
+          throw new Error('expected { "text": "...", "label": "job" | "noise" }');
+        }
+        this.model.learn(text, label);
+        learned++;
+      } catch (error) {
+        logger.warn(`Skipping line ${i + 1} of classifier training file: ${error.message}`);
+      }
+    }
+
+    if (complete > this.importedLines) {
+      this.importedLines = complete;
+      this.save();
+      logger.info(`Classifier learned ${learned} post(s) from ${this.trainingFile}`);
+    }
+  }
+
+  /**
+   * Check whether enough posts of each label were learned to trust the classifier
+   */
+  isTrained() {
+    return this.model.getDocCount(LABEL_JOB) >= this.minExamples &&
+      this.model.getDocCount(LABEL_NOISE) >= this.minExamples;
+  }
+
+  /**
+   * Describe the training state, e.g. "120 job / 45 noise posts learned"
+   */
+  describe() {
+    const counts = `${this.model.getDocCount(LABEL_JOB)} job / ${this.model.getDocCount(LABEL_NOISE)} noise posts learned`;
+    return this.isTrained() ? counts : `${counts}, needs ${this.minExamples} of each`;
+  }
+
+  /**
+   * Classify a post's text
+   * Returns { mode, probability, isJob, boost }, or null while the classifier isn't trained
+   * boost is the score to add in boost mode: from -boostWeight (sure it's noise) to +boostWeight (sure it's a job)
+   */
+  classify(text) {
+    if (!this.isTrained()) {
+      return null;
+    }
+
+    const probability = this.model.predict(text)[LABEL_JOB] ?? 0;
+    return {
+      mode: this.mode,
+      probability,
+      isJob: probability >= this.threshold,
+      boost: Math.round(this.boostWeight * (2 * probability - 1) * 100) / 100
+    };
+  }
+
+  /**
+   * Learn a vote on a forwarded post
+   * A post has one label: a changed vote replaces the previous one, unlearning the text learned with it
+   * Returns false when the post already had this label
+   */
+  learnFeedback(channel, messageId, text, label) {
+    const key = `${channel}:${messageId}`;
+    const previous = this.feedback[key];
+    if (previous?.label === label) {
+      return false;
+    }
+
+    if (previous) {
+      this.model.unlearn(previous.text, previous.label);
+    }
+    this.model.learn(text, label);
+    this.feedback[key] = { label, text };
+    this.save();
+    return true;
+  }
+
+  /**
+   * Register the feedback button handler on a Telegraf bot
+   */
+  register(bot) {
+    bot.action(FEEDBACK_DATA_REGEX, async (ctx) => {
+      try {
+        await this.handleFeedback(ctx);
+      } catch (error) {
+        logger.error('Error handling classifier feedback:', error);
+        await ctx.answerCbQuery('❌ Feedback failed, please try again later.').catch(() => {});
+      }
+    });
+
+    logger.info('Classifier feedback buttons registered');
+  }
+
+  async handleFeedback(ctx) {
+    if (!this.feedbackUserIds.has(ctx.from?.id)) {
+      await ctx.answerCbQuery('⛔ Only team members can rate posts.');
+      return;
+    }
+
+    const [, label, channel, messageId] = ctx.match;
+    const job = this.storage.getJob(channel, Number(messageId));
+    // Learn the text the post was classified by, jobs stored before it was kept only have their text
+    const text = job?.filterText || job?.text;
+    if (!text) {
+      await ctx.answerCbQuery('This post is no longer stored, it can\'t be learned.');
+      return;
+    }
+
+    const changed = this.learnFeedback(channel, Number(messageId), text, label);
+    if (changed) {
+      logger.info(`Classifier learned ${channel}/${messageId} as ${label} from user ${ctx.from.id}`);
+    }
+    await ctx.answerCbQuery(
+      !changed ? 'Already rated.' : label === LABEL_JOB ? '👍 Learned as a job post' : '👎 Learned as noise'
+    );
+  }
+}
+
+export default JobClassifier;
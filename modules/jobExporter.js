@@ -0,0 +1,117 @@
+/**
+ * Job Exporter module
+ * Writes matched posts with their extracted fields to JSON Lines or CSV files
+ */
+
+import { appendFileSync, existsSync, mkdirSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { getMessageLink } from '../utils/links.js';
+
+export const FORMAT_JSONL = 'jsonl';
+export const FORMAT_CSV = 'csv';
+export const EXPORT_FORMATS = [FORMAT_JSONL, FORMAT_CSV];
+
+// CSV columns, in order; salary and deadline are split into their parts
+const CSV_COLUMNS = [
+  'channel', 'messageId', 'date', 'link', 'score', 'keywords',
+  'title', 'company', 'location', 'workMode', 'employmentType', 'seniority',
+  'salary', 'salaryMin', 'salaryMax', 'currency', 'salaryPeriod', 'deadline',
+  'contact', 'email', 'applyUrl', 'text'
+];
+
+/**
+ * Quote a CSV value when it contains separators, quotes or line breaks
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * JobExporter class for writing matched posts to a file
+ */
+class JobExporter {
+  /**
+   * @param {string} outputPath - File to write
+   * @param {Object} options
+   * @param {string} options.format - 'jsonl' or 'csv'
+   * @param {boolean} options.append - Add to an existing file instead of starting a new one
+   */
+  constructor(outputPath, options = {}) {
+    this.outputPath = outputPath;
+    this.format = options.format || FORMAT_JSONL;
+    this.count = 0;
+
+    const dir = dirname(outputPath);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+
+    if (!options.append || !existsSync(outputPath)) {
+      writeFileSync(outputPath, this.format === FORMAT_CSV ? `${CSV_COLUMNS.join(',')}\n` : '', 'utf-8');
+    }
+  }
+
+  /**
+   * Build the export record of a matched post
+   * @param {Object} message - Message with extracted fields (see JobParser.parseMessage)
+   * @param {string} channel - Source channel
+   * @param {Object} match - Result of JobFilter.evaluate
+   */
+  toRecord(message, channel, match) {
+    return {
+      channel,
+      messageId: message.id,
+      date: message.date ? new Date(message.date * 1000).toISOString() : null,
+      link: getMessageLink(channel, message.id, message.peerId?.channelId),
+      score: match.score,
+      matchedKeywords: match.matchedKeywords,
+      fields: message.job,
+      text: message.message || message.text || message.caption || ''
+    };
+  }
+
+  /**
+   * Get the CSV row of an export record
+   */
+  toCsvRow(record) {
+    const fields = record.fields || {};
+    const values = {
+      ...fields,
+      channel: record.channel,
+      messageId: record.messageId,
+      date: record.date,
+      link: record.link,
+      score: record.score,
+      keywords: record.matchedKeywords.map(({ keyword }) => keyword).join(', '),
+      salary: fields.salary?.text,
+      salaryMin: fields.salary?.min,
+      salaryMax: fields.salary?.max,
+      currency: fields.salary?.currency,
+      salaryPeriod: fields.salary?.period,
+      deadline: fields.deadline?.date || fields.deadline?.text,
+      text: record.text
+    };
+    return CSV_COLUMNS.map(column => toCsvValue(values[column])).join(',');
+  }
+
+  /**
+   * Write matched posts, returns the written records
+   * @param {Array} matches - [{ message, channel, match }]
+   */
+  write(matches) {
+    const records = matches.map(({ message, channel, match }) => this.toRecord(message, channel, match));
+    if (records.length === 0) {
+      return records;
+    }
+
+    const lines = records.map(record => (this.format === FORMAT_CSV ? this.toCsvRow(record) : JSON.stringify(record)));
+    appendFileSync(this.outputPath, `${lines.join('\n')}\n`, 'utf-8');
+    this.count += records.length;
+    return records;
+  }
+}
+
+export default JobExporter;
@@ -1,17 +1,121 @@
 /**
  * Job Filter module
- * Filters messages based on keyword matching
+ * Filters messages based on weighted keyword scores and boolean filter expressions
  */
 
+import FilterExpression from './filterExpression.js';
+import { CLASSIFIER_BOOST, CLASSIFIER_GATE } from './jobClassifier.js';
+import { compileKeyword, compileWeightedKeyword, normalizeKeyword } from './keywordMatcher.js';
+import { detectLanguage, normalizeText } from './language.js';
+import { getMessageParts } from './media.js';
+import { inlineHiddenUrls } from '../utils/entities.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Extracted job fields (see jobParser.js) that expressions can test with `field:value` terms
+ */
+const FIELD_TERMS = {
+  title: job => job.title,
+  company: job => job.company,
+  location: job => job.location,
+  mode: job => job.workMode,
+  type: job => job.employmentType,
+  seniority: job => job.seniority,
+  currency: job => job.salary?.currency
+};
+
+const FIELD_TERM_REGEX = /^([a-z]+):(.+)$/;
+
+/**
+ * Split a `field:value` term, returns null for ordinary terms
+ */
+function parseFieldTerm(term) {
+  const match = term.match(FIELD_TERM_REGEX);
+  return match && FIELD_TERMS[match[1]] ? { field: match[1], value: match[2] } : null;
+}
+
+/**
+ * Format a keyword's weight as "+3" or "-5"
+ */
+function formatWeight(weight) {
+  return weight < 0 ? String(weight) : `+${weight}`;
+}
+
+/**
+ * Format a probability (0-1) as "87%"
+ */
+function formatPercent(probability) {
+  return `${Math.round(probability * 100)}%`;
+}
+
 /**
  * JobFilter class for filtering job-related messages
  */
 class JobFilter {
-  constructor(keywords = []) {
-    this.keywords = keywords.map(k => k.toLowerCase());
+  /**
+   * @param {string[]} keywords - Keywords, optionally weighted (`react:3`, `sales:-5`, see keywordMatcher.js)
+   * @param {Object} options
+   * @param {number} options.threshold - Score (sum of the found keywords' weights) a post needs to match
+   * @param {string} options.expression - Boolean filter expression the post must also satisfy
+   * @param {Object} options.languageKeywords - Extra keyword lists per language code ({ am: [...], ru: [...] })
+   * @param {boolean} options.detectLanguage - Only apply the keyword list of the post's detected language
+   * @param {JobClassifier} options.classifier - Learned classifier used as a gate, score boost or suggestion
+   */
+  constructor(keywords = [], options = {}) {
+    this.setKeywords(keywords);
+    this.threshold = options.threshold ?? 1;
+    this.classifier = options.classifier || null;
+    this.detectLanguage = Boolean(options.detectLanguage);
+    this.languageMatchers = new Map(
+      Object.entries(options.languageKeywords || {}).map(([language, list]) => [
+        language,
+        list.map(normalizeKeyword).filter(k => k.length > 0).map(compileWeightedKeyword)
+      ])
+    );
+    this.expression = options.expression ? new FilterExpression(options.expression) : null;
+
+    // Compile expression terms once, they don't change for the lifetime of the filter
+    this.termMatchers = new Map(
+      (this.expression ? this.expression.getTerms() : [])
+        .filter(term => !parseFieldTerm(term))
+        .map(term => [term, compileKeyword(term)])
+    );
+
     logger.info(`JobFilter initialized with ${this.keywords.length} keywords: ${this.keywords.join(', ')}`);
+    if (this.expression) {
+      logger.info(`JobFilter expression: ${this.expression}`);
+    }
+    for (const [language, matchers] of this.languageMatchers) {
+      logger.info(`JobFilter ${language} keywords: ${matchers.map(m => m.keyword).join(', ')}`);
+    }
+  }
+
+  /**
+   * Set keywords and compile their matchers
+   */
+  setKeywords(keywords) {
+    this.keywords = keywords.map(normalizeKeyword).filter(k => k.length > 0);
+    this.keywordMatchers = this.keywords.map(compileWeightedKeyword);
+  }
+
+  /**
+   * Check if any keywords (general or per language) are configured
+   */
+  hasKeywords() {
+    return this.keywordMatchers.length > 0 ||
+      [...this.languageMatchers.values()].some(matchers => matchers.length > 0);
+  }
+
+  /**
+   * Get keyword matchers that apply to a post in the given language
+   * General keywords always apply; language lists apply to their language, or all of them without detection
+   */
+  getKeywordMatchers(language = null) {
+    if (!this.detectLanguage) {
+      return [this.keywordMatchers, ...this.languageMatchers.values()].flat();
+    }
+
+    return [...this.keywordMatchers, ...(this.languageMatchers.get(language) || [])];
   }
 
   /**
@@ -23,9 +127,9 @@ class JobFilter {
 
     let text = '';
 
-    // Get text from message
+    // Get text from message, with the URLs hidden behind text links
     if (message.message) {
-      text += message.message + ' ';
+      text += inlineHiddenUrls(message.message, message.entities) + ' ';
     }
 
     // Get text from caption (for media messages)
@@ -33,13 +137,14 @@ class JobFilter {
       text += message.caption + ' ';
     }
 
-    // Get text from entities (mentions, hashtags, etc.)
-    if (message.entities) {
-      message.entities.forEach(entity => {
-        if (entity.text) {
-          text += entity.text + ' ';
-        }
-      });
+    // Get captions of other album items and names of attached files (e.g. "Backend_Developer_JD.pdf")
+    for (const part of getMessageParts(message)) {
+      if (part !== message && part.message) {
+        text += inlineHiddenUrls(part.message, part.entities) + ' ';
+      }
+      if (part.file?.name) {
+        text += part.file.name.replace(/[_.-]+/g, ' ') + ' ';
+      }
     }
 
     // Get text from reply message if exists
@@ -47,23 +152,21 @@ class JobFilter {
       text += message.replyTo.message + ' ';
     }
 
-    return text.trim().toLowerCase();
+    return normalizeText(text).trim();
   }
 
   /**
    * Check if message contains any of the keywords
    */
-  containsKeywords(text) {
+  containsKeywords(text, language = null) {
     if (!text || text.length === 0) return false;
 
-    const lowerText = text.toLowerCase();
+    const normalizedText = normalizeText(text);
 
     // Check if any keyword is found in the text
-    for (const keyword of this.keywords) {
-      // Use word boundary matching for better accuracy
-      const regex = new RegExp(`\\b${keyword}\\b`, 'i');
-      if (regex.test(lowerText)) {
-        logger.debug(`Keyword match found: "${keyword}"`);
+    for (const matcher of this.getKeywordMatchers(language)) {
+      if (matcher.test(normalizedText)) {
+        logger.debug(`Keyword match found: "${matcher.keyword}"`);
         return true;
       }
     }
@@ -72,35 +175,172 @@ class JobFilter {
   }
 
   /**
-   * Filter message - main filtering logic
+   * Check if text contains a single term (word or phrase)
    */
-  isJobPost(message) {
-    try {
-      const text = this.extractText(message);
-      
-      if (!text) {
-        logger.debug('Message has no text content, skipping');
-        return false;
+  containsTerm(text, term) {
+    let matcher = this.termMatchers.get(term);
+    if (!matcher) {
+      matcher = compileKeyword(term);
+      this.termMatchers.set(term, matcher);
+    }
+    return matcher.test(text);
+  }
+
+  /**
+   * Check if an extracted job field contains a value, e.g. `mode:remote` or `seniority:senior`
+   */
+  matchesField(fieldTerm, job) {
+    const fieldValue = job ? FIELD_TERMS[fieldTerm.field](job) : null;
+    if (!fieldValue) return false;
+
+    return normalizeText(String(fieldValue)).includes(normalizeText(fieldTerm.value));
+  }
+
+  /**
+   * Check if text (and the message's extracted job fields) satisfies the filter expression
+   */
+  matchesExpression(text, job = null) {
+    if (!this.expression) return true;
+
+    return this.expression.evaluate(term => {
+      const fieldTerm = parseFieldTerm(term);
+      return fieldTerm ? this.matchesField(fieldTerm, job) : this.containsTerm(text, term);
+    });
+  }
+
+  /**
+   * Get every keyword that occurs in the text, with its weight
+   * Returns [{ keyword, weight }]
+   */
+  findKeywords(text, language = null) {
+    if (!text) return [];
+
+    const normalizedText = normalizeText(text);
+    return this.getKeywordMatchers(language)
+      .filter(matcher => matcher.test(normalizedText))
+      .map(matcher => ({ keyword: matcher.keyword, weight: matcher.weight }));
+  }
+
+  /**
+   * Describe how a score was made up, e.g. "react +3, remote +1, sales -5, classifier +1.2"
+   */
+  describeScore(result) {
+    const parts = result.matchedKeywords.map(({ keyword, weight }) => `${keyword} ${formatWeight(weight)}`);
+    if (result.classifier?.mode === CLASSIFIER_BOOST) {
+      parts.push(`classifier ${formatWeight(result.classifier.boost)}`);
+    }
+    return parts.join(', ');
+  }
+
+  /**
+   * Evaluate a message against the filter and explain the outcome
+   * A post must reach the score threshold (when keywords are configured) and satisfy the filter expression (when set)
+   * Every found keyword counts once towards the score
+   * With a trained classifier, posts it considers noise are rejected (gate mode) or its verdict is
+   * added to the score (boost mode)
+   * Returns { isMatch, reason, language, score, matchedKeywords: [{ keyword, weight }], expressionMatch, classifier }
+   */
+  evaluate(message) {
+    const text = this.extractText(message);
+    const result = {
+      isMatch: false,
+      reason: '',
+      language: null,
+      score: 0,
+      matchedKeywords: [],
+      expressionMatch: null,
+      classifier: null
+    };
+
+    if (!text) {
+      result.reason = 'Message has no text content';
+      return result;
+    }
+
+    result.language = this.detectLanguage ? detectLanguage(text) : null;
+    result.matchedKeywords = this.findKeywords(text, result.language);
+    result.score = result.matchedKeywords.reduce((score, { weight }) => score + weight, 0);
+
+    // Learned classifier (see jobClassifier.js), null while it isn't trained
+    result.classifier = this.classifier ? this.classifier.classify(text) : null;
+    if (result.classifier?.mode === CLASSIFIER_BOOST) {
+      result.score = Math.round((result.score + result.classifier.boost) * 100) / 100;
+    }
+
+    // Without keywords the expression alone decides
+    if (this.hasKeywords() && result.matchedKeywords.length === 0) {
+      result.reason = 'No keyword found';
+      return result;
+    }
+    if (this.hasKeywords() && result.score < this.threshold) {
+      result.reason = `Score ${result.score} below threshold ${this.threshold} (${this.describeScore(result)})`;
+      return result;
+    }
+
+    if (this.expression) {
+      result.expressionMatch = this.matchesExpression(text, message.job);
+      if (!result.expressionMatch) {
+        result.reason = `Rejected by filter expression: ${this.expression}`;
+        return result;
       }
+    } else if (!this.hasKeywords()) {
+      result.reason = 'No keywords or filter expression configured';
+      return result;
+    }
+
+    if (result.classifier?.mode === CLASSIFIER_GATE && !result.classifier.isJob) {
+      result.reason = `Rejected by classifier (job probability ${formatPercent(result.classifier.probability)})`;
+      return result;
+    }
 
-      const isMatch = this.containsKeywords(text);
+    result.isMatch = true;
+    result.reason = result.matchedKeywords.length > 0
+      ? `Score ${result.score} (${this.describeScore(result)})`
+      : `Matched filter expression: ${this.expression}`;
+    if (result.classifier) {
+      result.reason += `, classifier: ${formatPercent(result.classifier.probability)} job`;
+    }
+    return result;
+  }
 
-      if (isMatch) {
-        logger.info(`Job post detected! Text preview: ${text.substring(0, 100)}...`);
+  /**
+   * Evaluate a message and log the outcome
+   * Returns the result of evaluate(), a post that fails to evaluate doesn't match
+   */
+  check(message) {
+    try {
+      const result = this.evaluate(message);
+
+      if (result.language) {
+        logger.debug(`Detected post language: ${result.language}`);
       }
 
-      return isMatch;
+      if (result.isMatch) {
+        const text = this.extractText(message);
+        logger.info(`Job post detected! ${result.reason}. Text preview: ${text.substring(0, 100)}...`);
+      } else {
+        logger.debug(`Not a job post: ${result.reason}`);
+      }
+
+      return result;
     } catch (error) {
       logger.error('Error filtering message:', error);
-      return false;
+      return { isMatch: false, reason: `Error: ${error.message}`, score: 0, matchedKeywords: [], classifier: null };
     }
   }
 
+  /**
+   * Filter message - main filtering logic
+   */
+  isJobPost(message) {
+    return this.check(message).isMatch;
+  }
+
   /**
    * Update keywords dynamically
    */
   updateKeywords(keywords) {
-    this.keywords = keywords.map(k => k.toLowerCase());
+    this.setKeywords(keywords);
     logger.info(`Keywords updated: ${this.keywords.join(', ')}`);
   }
 }
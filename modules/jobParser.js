@@ -0,0 +1,321 @@
+/**
+ * Job Parser module
+ * Extracts structured fields (title, company, salary, ...) from free-text job posts
+ */
+
+import { inlineHiddenUrls } from '../utils/entities.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Labels recruiters use in "Label: value" lines, per field
+ */
+const FIELD_LABELS = {
+  title: ['job title', 'title', 'position', 'role', 'vacancy', 'job', 'post'],
+  company: ['company', 'company name', 'organization', 'organisation', 'employer', 'hiring company', 'client'],
+  location: ['location', 'job location', 'place of work', 'work location', 'city', 'address', 'based in'],
+  employmentType: ['employment type', 'job type', 'type', 'employment', 'contract type'],
+  seniority: ['level', 'seniority', 'experience level', 'career level'],
+  salary: ['salary', 'compensation', 'pay', 'payment', 'budget', 'rate', 'salary range'],
+  deadline: ['deadline', 'application deadline', 'apply before', 'closing date', 'last date', 'apply by'],
+  contact: ['contact', 'contact us', 'telegram', 'dm', 'send cv to', 'apply via'],
+  apply: ['apply', 'apply here', 'apply link', 'how to apply', 'link', 'apply now', 'application link']
+};
+
+const WORK_MODES = [
+  { value: 'hybrid', pattern: /\bhybrid\b/i },
+  { value: 'remote', pattern: /\b(remote(ly)?|work from home|wfh|anywhere|distributed team)\b/i },
+  { value: 'onsite', pattern: /\b(on[\s-]?site|in[\s-]office|office[\s-]based|in[\s-]person)\b/i }
+];
+
+const EMPLOYMENT_TYPES = [
+  { value: 'internship', pattern: /\b(intern(ship)?|trainee)\b/i },
+  { value: 'part-time', pattern: /\bpart[\s-]?time\b/i },
+  { value: 'full-time', pattern: /\bfull[\s-]?time\b/i },
+  { value: 'contract', pattern: /\b(contract(or)?|contractual|fixed[\s-]term)\b/i },
+  { value: 'freelance', pattern: /\b(freelance(r)?|gig|project[\s-]based)\b/i },
+  { value: 'temporary', pattern: /\b(temporary|temp)\b/i }
+];
+
+const SENIORITY_LEVELS = [
+  { value: 'intern', pattern: /\b(intern(ship)?|trainee)\b/i },
+  { value: 'junior', pattern: /\b(junior|jr\.?|entry[\s-]level|graduate)\b/i },
+  { value: 'lead', pattern: /\b(lead|principal|staff|head of|tech lead|team lead|architect)\b/i },
+  { value: 'senior', pattern: /\b(senior|sr\.?)\b/i },
+  { value: 'mid', pattern: /\b(mid[\s-]?level|middle|intermediate|mid)\b/i }
+];
+
+/**
+ * Currency symbols and codes, mapped to ISO codes
+ */
+const CURRENCIES = [
+  { code: 'USD', pattern: /\$|\busd\b|\bdollars?\b/i },
+  { code: 'EUR', pattern: /€|\beur\b|\beuros?\b/i },
+  { code: 'GBP', pattern: /£|\bgbp\b/i },
+  { code: 'ETB', pattern: /\betb\b|\bbirr\b|ብር/i },
+  { code: 'RUB', pattern: /₽|\brub\b|руб/i },
+  { code: 'INR', pattern: /₹|\binr\b/i },
+  { code: 'AED', pattern: /\baed\b/i }
+];
+
+const SALARY_PERIODS = [
+  { value: 'hour', pattern: /(per|\/|an?)\s*(hour|hr)\b|hourly/i },
+  { value: 'month', pattern: /(per|\/|a)\s*(month|mo)\b|monthly|в месяц/i },
+  { value: 'year', pattern: /(per|\/|a)\s*(year|yr|annum)\b|annual(ly)?|yearly/i }
+];
+
+const AMOUNT = '\\d{1,3}(?:[,\\s]\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?\\s*[kK]?';
+const SALARY_RANGE = new RegExp(`(${AMOUNT})\\s*(?:-|–|—|to|до)\\s*\\$?\\s*(${AMOUNT})`);
+const SALARY_SINGLE = new RegExp(`(${AMOUNT})`);
+
+const EMAIL_REGEX = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i;
+const URL_REGEX = /https?:\/\/[^\s<>"')]+/gi;
+const HANDLE_REGEX = /(?<![\w.@])@([a-z][a-z0-9_]{3,31})\b/gi;
+
+/**
+ * Strip emojis, bullets and markdown decoration from the start/end of a line
+ */
+function cleanLine(line) {
+  return line
+    .replace(/^[\s\p{Extended_Pictographic}\uFE0F\u200D*•▪➖\-–—#>|]+/u, '')
+    .replace(/[\s*_|]+$/u, '')
+    .trim();
+}
+
+/**
+ * Parse an amount like "1,500", "2.5k" or "15 000" into a number
+ */
+function parseAmount(raw) {
+  const compact = raw.replace(/[,\s]/g, '');
+  const isThousands = /k$/i.test(compact);
+  const value = parseFloat(compact.replace(/k$/i, ''));
+  if (Number.isNaN(value)) return null;
+  return isThousands ? value * 1000 : value;
+}
+
+/**
+ * JobParser class for extracting structured fields from job posts
+ */
+class JobParser {
+  /**
+   * Split text into "Label: value" pairs
+   * Returns a Map of lowercased label -> value (first occurrence wins)
+   */
+  extractLabels(lines) {
+    const labels = new Map();
+
+    for (const line of lines) {
+      const match = cleanLine(line).match(/^([\p{L} ]{2,30}?)\s*[:：\-–—]\s*(.+)$/u);
+      if (!match) continue;
+
+      const label = match[1].trim().toLowerCase();
+      if (!labels.has(label)) {
+        labels.set(label, cleanLine(match[2]));
+      }
+    }
+
+    return labels;
+  }
+
+  /**
+   * Find the value of a field from its known labels
+   */
+  getLabeled(labels, field) {
+    for (const label of FIELD_LABELS[field]) {
+      if (labels.has(label)) {
+        return labels.get(label);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Return the value of the first entry whose pattern matches
+   */
+  matchFirst(entries, text) {
+    return entries.find(entry => entry.pattern.test(text))?.value || null;
+  }
+
+  /**
+   * Guess a title when there is no labelled one: the first short line of the post
+   */
+  guessTitle(lines) {
+    for (const line of lines) {
+      const cleaned = cleanLine(line).replace(/#\S+/g, '').trim();
+      if (cleaned.length < 4) continue;
+      if (cleaned.length > 80 || /https?:\/\//.test(cleaned)) return null;
+      // Skip generic headers like "We are hiring!"
+      if (/^(we('| a)re hiring|hiring|job (post|opening|alert|vacancy)|new job|vacancy)\W*$/i.test(cleaned)) continue;
+      return cleaned;
+    }
+    return null;
+  }
+
+  /**
+   * Extract salary range, currency and period
+   */
+  parseSalary(labeled, text) {
+    const source = labeled || text.split('\n').find(line =>
+      /salary|compensation|pay|budget|rate|\$|€|£|birr|etb|usd|₽|руб/i.test(line) && /\d/.test(line)
+    );
+    if (!source) {
+      return labeled && /negotiable|competitive|attractive/i.test(labeled)
+        ? { min: null, max: null, currency: null, period: null, text: labeled }
+        : null;
+    }
+
+    const range = source.match(SALARY_RANGE);
+    const single = range ? null : source.match(SALARY_SINGLE);
+    if (!range && !single) {
+      return labeled ? { min: null, max: null, currency: null, period: null, text: labeled } : null;
+    }
+
+    const min = parseAmount(range ? range[1] : single[1]);
+    const max = range ? parseAmount(range[2]) : min;
+
+    return {
+      min,
+      max,
+      currency: this.matchCurrency(source),
+      period: this.matchFirst(SALARY_PERIODS, source),
+      text: cleanLine(source)
+    };
+  }
+
+  /**
+   * Find the currency mentioned in a salary string
+   */
+  matchCurrency(text) {
+    return CURRENCIES.find(c => c.pattern.test(text))?.code || null;
+  }
+
+  /**
+   * Parse a deadline string, keeping the original text and an ISO date when it can be read
+   */
+  parseDeadline(labeled) {
+    if (!labeled) return null;
+
+    const timestamp = Date.parse(labeled.replace(/(\d+)(st|nd|rd|th)\b/g, '$1'));
+    if (Number.isNaN(timestamp)) {
+      return { text: labeled, date: null };
+    }
+
+    // Date.parse reads dates without a timezone as local time, so format in local time too
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return {
+      text: labeled,
+      date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    };
+  }
+
+  /**
+   * Find a Telegram contact handle, ignoring the source channel itself
+   */
+  parseContact(labeled, text, sourceChannel) {
+    const candidates = [labeled, text].filter(Boolean);
+    for (const candidate of candidates) {
+      for (const match of candidate.matchAll(HANDLE_REGEX)) {
+        const handle = match[1];
+        if (!sourceChannel || handle.toLowerCase() !== sourceChannel.toLowerCase()) {
+          return `@${handle}`;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the apply URL: a labelled link first, then any link on a line mentioning "apply"
+   */
+  parseApplyUrl(labeled, lines, urls) {
+    const fromLabel = labeled?.match(URL_REGEX)?.[0];
+    if (fromLabel) return fromLabel;
+
+    const applyLine = lines.find(line => /apply|application|register|form/i.test(line) && /https?:\/\//i.test(line));
+    if (applyLine) {
+      return applyLine.match(URL_REGEX)[0];
+    }
+
+    // Fall back to the first non-Telegram link
+    return urls.find(url => !/^https?:\/\/(t\.me|telegram\.me)\//i.test(url)) || null;
+  }
+
+  /**
+   * Parse job post text into structured fields
+   * Fields that can't be found are null
+   */
+  parse(text, options = {}) {
+    const empty = {
+      title: null,
+      company: null,
+      location: null,
+      workMode: null,
+      employmentType: null,
+      seniority: null,
+      salary: null,
+      deadline: null,
+      contact: null,
+      email: null,
+      applyUrl: null
+    };
+
+    if (!text) return empty;
+
+    try {
+      const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+      const labels = this.extractLabels(lines);
+      const urls = [...(options.urls || []), ...(text.match(URL_REGEX) || [])];
+
+      let title = this.getLabeled(labels, 'title') || this.guessTitle(lines);
+      let company = this.getLabeled(labels, 'company');
+
+      // "Senior Developer at Acme" style titles
+      const atMatch = title?.match(/^(.+?)\s+(?:at|@)\s+([A-Z][\w&.\- ]{1,40})$/);
+      if (atMatch) {
+        title = atMatch[1].trim();
+        company = company || atMatch[2].trim();
+      }
+
+      const location = this.getLabeled(labels, 'location') ||
+        lines.map(l => l.match(/📍\s*(.+)/u)?.[1]).find(Boolean) ||
+        null;
+
+      const typeLabel = this.getLabeled(labels, 'employmentType');
+      const seniorityLabel = this.getLabeled(labels, 'seniority');
+
+      return {
+        title,
+        company,
+        location: location ? cleanLine(location) : null,
+        workMode: this.matchFirst(WORK_MODES, `${location || ''}\n${text}`),
+        employmentType: this.matchFirst(EMPLOYMENT_TYPES, typeLabel || text),
+        seniority: this.matchFirst(SENIORITY_LEVELS, seniorityLabel || title || '') ||
+          this.matchFirst(SENIORITY_LEVELS, text),
+        salary: this.parseSalary(this.getLabeled(labels, 'salary'), text),
+        deadline: this.parseDeadline(this.getLabeled(labels, 'deadline')),
+        contact: this.parseContact(this.getLabeled(labels, 'contact'), text, options.sourceChannel),
+        email: text.match(EMAIL_REGEX)?.[0] || null,
+        applyUrl: this.parseApplyUrl(this.getLabeled(labels, 'apply'), lines, urls)
+      };
+    } catch (error) {
+      logger.error('Error parsing job post:', error);
+      return empty;
+    }
+  }
+
+  /**
+   * Parse a Telegram message and attach the fields as `message.job`
+   * The source channel is attached as `message.sourceChannel`, for links in forwarded posts
+   */
+  parseMessage(message, sourceChannel = null) {
+    // URLs hidden behind text links ("Apply here") are made visible to the field parsers
+    const text = message?.message
+      ? inlineHiddenUrls(message.message, message.entities)
+      : message?.text || message?.caption || '';
+    message.job = this.parse(text, { sourceChannel });
+    message.sourceChannel = sourceChannel;
+    return message.job;
+  }
+}
+
+export default JobParser;
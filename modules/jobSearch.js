@@ -0,0 +1,315 @@
+/**
+ * Job Search module
+ * Full-text search over matched jobs kept in storage, from the bot (/search in DMs, inline queries)
+ * and the command line (utils/search.js)
+ *
+ * Query syntax: words and "quoted phrases" that must all occur, `develop*` for prefixes, plus facets:
+ * - since:7d / since:24h / since:2w / since:2024-05-01 - posted on or after
+ * - until:2024-05-07 / until:1d - posted on or before (a date includes the whole day)
+ * - channel:remote_jobs - from one source channel
+ * - keyword:react - matched by one of the configured keywords
+ */
+
+import { escapeHtml } from '../utils/html.js';
+import logger from '../utils/logger.js';
+
+// Matching jobs fetched per search, for the facet counts; results beyond are cut off
+const MAX_MATCHES = 500;
+
+// Results listed in a /search reply, and per page of inline results (Telegram allows 50)
+const MAX_LISTED = 10;
+const INLINE_PAGE_SIZE = 20;
+
+const FACETS = ['since', 'until', 'channel', 'keyword'];
+const TOKEN_REGEX = /(\w+:)?"([^"]*)"|(\S+)/g;
+const RELATIVE_REGEX = /^(\d+)([hdw])$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const UNIT_MS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+const HELP_TEXT = [
+  '<b>🔎 Job search</b>',
+  'Search the matched job posts, newest first.',
+  '',
+  '<code>/search flutter remote since:7d</code>',
+  '',
+  'All words must appear in the post; use "quoted phrases" and <code>develop*</code> for prefixes.',
+  'Narrow down with <code>since:7d</code>, <code>until:2024-05-07</code>, <code>channel:remote_jobs</code> ',
+  'and <code>keyword:react</code>.'
+].join('\n');
+
+/**
+ * Parse a since:/until: value to a timestamp (ms)
+ * endOfDay: a date means the end of that day, so the whole day is included
+ */
+function parseTime(value, name, now, endOfDay = false) {
+  const relative = value.match(RELATIVE_REGEX);
+  if (relative) {
+    return now - Number(relative[1]) * UNIT_MS[relative[2]];
+  }
+
+  if (DATE_REGEX.test(value) && !Number.isNaN(Date.parse(value))) {
+    return Date.parse(value) + (endOfDay ? UNIT_MS.d - 1 : 0);
+  }
+
+  throw new Error(`Invalid ${name}:${value} (expected e.g. ${name}:7d, ${name}:24h or ${name}:2024-05-01)`);
+}
+
+/**
+ * Parse a search query into terms and facets
+ * Returns { terms, since, until, channel, keyword }, dates as timestamps (ms)
+ * @throws {Error} when a facet value is invalid
+ */
+export function parseSearchQuery(query, now = Date.now()) {
+  const result = { terms: [], since: 0, until: null, channel: null, keyword: null };
+
+  for (const [, quotedFacet, quoted, word] of (query || '').matchAll(TOKEN_REGEX)) {
+    const [name, value] = quotedFacet
+      ? [quotedFacet.slice(0, -1).toLowerCase(), quoted]
+      : word?.match(/^(\w+):(.+)$/)?.slice(1) || [];
+
+    if (name && FACETS.includes(name.toLowerCase())) {
+      const facet = name.toLowerCase();
+      if (facet === 'since') {
+        result.since = parseTime(value, facet, now);
+      } else if (facet === 'until') {
+        result.until = parseTime(value, facet, now, true);
+      } else if (facet === 'channel') {
+        result.channel = value.replace(/^@/, '');
+      } else {
+        result.keyword = value;
+      }
+      continue;
+    }
+
+    const term = (quotedFacet ? `${quotedFacet}${quoted}` : quoted ?? word).trim();
+    if (term && !/^\*+$/.test(term)) {
+      result.terms.push(term);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Count the values of a facet, most frequent first
+ * Returns [[value, count]]
+ */
+function countFacet(jobs, getValues) {
+  const counts = new Map();
+  for (const job of jobs) {
+    for (const value of new Set(getValues(job))) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  }
+  return [...counts].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+}
+
+/**
+ * Format a post date (ms) as "2024-05-01"
+ */
+export function formatJobDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * JobSearch class for searching matched jobs
+ */
+class JobSearch {
+  /**
+   * @param {MessageStorage} storage - Holds the matched jobs (see searchJobs)
+   * @param {BotHandler} botHandler - Formats results for the bot, not needed on the command line
+   * @param {Object} options
+   * @param {number[]} options.allowedUserIds - Users allowed to search from the bot
+   */
+  constructor(storage, botHandler = null, options = {}) {
+    this.storage = storage;
+    this.botHandler = botHandler;
+    this.allowedUserIds = new Set((options.allowedUserIds || []).map(Number));
+  }
+
+  /**
+   * Check whether a user may search from the bot
+   */
+  isAllowed(userId) {
+    return this.allowedUserIds.has(userId);
+  }
+
+  /**
+   * Search the matched jobs
+   * Returns { jobs, total, truncated, facets: { channels, keywords, days } }, jobs newest first
+   * @throws {Error} when the query is invalid
+   */
+  search(query, now = Date.now()) {
+    const parsed = parseSearchQuery(query, now);
+    const jobs = this.storage.searchJobs({ ...parsed, limit: MAX_MATCHES + 1 });
+    const truncated = jobs.length > MAX_MATCHES;
+    if (truncated) {
+      jobs.pop();
+    }
+
+    return {
+      jobs,
+      total: jobs.length,
+      truncated,
+      facets: {
+        channels: countFacet(jobs, job => [job.channel]),
+        keywords: countFacet(jobs, job => job.keywords || []),
+        days: countFacet(jobs, job => [formatJobDate(job.date)]).sort((a, b) => b[0].localeCompare(a[0]))
+      }
+    };
+  }
+
+  /**
+   * Get a job record as the message shape BotHandler formats (see BotHandler.formatDigestLine)
+   */
+  toMessage(job) {
+    return { id: job.messageId, message: job.text, job: job.fields || {}, sourceChannel: job.channel };
+  }
+
+  /**
+   * Register the /search command and inline queries on a Telegraf bot
+   */
+  register(bot) {
+    bot.command('search', async (ctx) => {
+      try {
+        if (ctx.chat?.type !== 'private') {
+          await ctx.reply('Please message me directly to search jobs.');
+          return;
+        }
+        if (!this.isAllowed(ctx.from.id)) {
+          await ctx.reply('⛔ Job search is not available for your account.');
+          return;
+        }
+        await this.handleSearch(ctx, this.getArgs(ctx));
+      } catch (error) {
+        logger.error('Error handling /search command:', error);
+        await ctx.reply('❌ /search failed, please try again later.').catch(() => {});
+      }
+    });
+
+    bot.on('inline_query', async (ctx) => {
+      try {
+        await this.handleInlineQuery(ctx);
+      } catch (error) {
+        logger.error('Error handling inline search:', error);
+        await ctx.answerInlineQuery([], { cache_time: 0 }).catch(() => {});
+      }
+    });
+
+    logger.info('Search commands registered');
+  }
+
+  /**
+   * Get the text after the command (`/search@MyBot react` -> "react")
+   */
+  getArgs(ctx) {
+    const text = ctx.message?.text || '';
+    const match = text.match(/^\/\S+\s*([\s\S]*)$/);
+    return match ? match[1].trim() : '';
+  }
+
+  async handleSearch(ctx, query) {
+    if (!query) {
+      await ctx.reply(HELP_TEXT, { parse_mode: 'HTML' });
+      return;
+    }
+
+    let result;
+    try {
+      result = this.search(query);
+    } catch (error) {
+      await ctx.reply(`❌ ${escapeHtml(error.message)}`, { parse_mode: 'HTML' });
+      return;
+    }
+
+    await ctx.reply(this.formatResults(query, result), { parse_mode: 'HTML', disable_web_page_preview: true });
+  }
+
+  /**
+   * Format search results as an HTML reply: the newest matches, then the facet counts
+   */
+  formatResults(query, result) {
+    if (result.total === 0) {
+      return `No jobs found for <code>${escapeHtml(query)}</code>.`;
+    }
+
+    const total = `${result.total}${result.truncated ? '+' : ''}`;
+    const lines = [`<b>🔎 ${total} job${result.total === 1 ? '' : 's'}</b> for <code>${escapeHtml(query)}</code>`, ''];
+    for (const job of result.jobs.slice(0, MAX_LISTED)) {
+      lines.push(`${this.botHandler.formatDigestLine(this.toMessage(job))} · ${formatJobDate(job.date)}`);
+    }
+    if (result.total > MAX_LISTED) {
+      lines.push(`… and ${result.total - MAX_LISTED} more, narrow down with since:, channel: or keyword:`);
+    }
+
+    const facetLine = (label, counts) => counts.length > 1
+      ? `${label}: ${counts.slice(0, 5).map(([value, count]) => `${escapeHtml(value)} (${count})`).join(', ')}`
+      : null;
+    const facets = [
+      facetLine('Channels', result.facets.channels),
+      facetLine('Keywords', result.facets.keywords),
+      facetLine('Days', result.facets.days)
+    ].filter(Boolean);
+    if (facets.length > 0) {
+      lines.push('', ...facets);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Answer an inline query (`@bot react remote`) with matching jobs, newest first
+   * An empty query lists the newest jobs; results are paged with the query offset
+   */
+  async handleInlineQuery(ctx) {
+    if (!this.isAllowed(ctx.from.id)) {
+      await ctx.answerInlineQuery([], { cache_time: 60, is_personal: true });
+      return;
+    }
+
+    let jobs;
+    try {
+      jobs = this.search(ctx.inlineQuery.query).jobs;
+    } catch {
+      // Incomplete facets while typing, e.g. "since:7"
+      await ctx.answerInlineQuery([], { cache_time: 0, is_personal: true });
+      return;
+    }
+
+    const offset = Number(ctx.inlineQuery.offset) || 0;
+    const page = jobs.slice(offset, offset + INLINE_PAGE_SIZE);
+    const results = page.map(job => this.toInlineResult(job));
+
+    await ctx.answerInlineQuery(results, {
+      cache_time: 10,
+      is_personal: true,
+      next_offset: offset + INLINE_PAGE_SIZE < jobs.length ? String(offset + INLINE_PAGE_SIZE) : ''
+    });
+  }
+
+  /**
+   * Build the inline result of a job: an article that posts the job's summary line
+   */
+  toInlineResult(job) {
+    const message = this.toMessage(job);
+    const fields = message.job;
+    const link = this.botHandler.getSourceLink(message);
+    const firstLine = (job.text || '').split('\n').map(line => line.trim()).find(Boolean);
+
+    return {
+      type: 'article',
+      id: `${job.channel}:${job.messageId}`.slice(0, 64),
+      title: fields.title || firstLine || 'Job post',
+      description: [fields.company, fields.location, `${formatJobDate(job.date)} · ${job.channel}`].filter(Boolean).join(' · '),
+      url: link || undefined,
+      input_message_content: {
+        message_text: this.botHandler.formatDigestLine(message),
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      },
+      reply_markup: link ? { inline_keyboard: [[{ text: '🔗 View original', url: link }]] } : undefined
+    };
+  }
+}
+
+export default JobSearch;
@@ -0,0 +1,125 @@
+/**
+ * Keyword Matcher module
+ * Compiles keywords into regular expressions once, so matching a message is cheap
+ *
+ * Supported keyword forms:
+ * - Plain words and symbols: `react`, `c++`, `c#`, `.net`, `node.js`
+ * - Phrases with flexible separators: `full stack` matches "full stack", "full-stack", "full_stack" and "fullstack"
+ * - Wildcard stems: `develop*` matches "develop", "developer", "development"
+ * - Regular expressions: `/golang|go developer/` (flags after the closing slash, `i` is always added)
+ * - Keywords in any script: `ገንቢ`, `разработчик`, `مطور` (boundaries depend on the script, see language.js)
+ *
+ * Keyword lists can weight keywords with a `:weight` suffix, e.g. `react:3` or `sales:-5` (default 1)
+ */
+
+import { WORD_CHAR, getBoundaries, isWordChar, normalizeText } from './language.js';
+
+const REGEX_KEYWORD = /^\/(.+)\/([a-z]*)$/s;
+const WEIGHT_SUFFIX = /^(.+?)\s*:\s*([+-]?\d+(?:\.\d+)?)$/s;
+
+// Characters that separate the words of a phrase
+const SEPARATOR = '[\\s\\-_]*';
+
+/**
+ * Escape special regex characters in a string
+ */
+export function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check if a keyword is written as a /regex/
+ */
+export function isRegexKeyword(keyword) {
+  return REGEX_KEYWORD.test(keyword);
+}
+
+/**
+ * Split the `:weight` suffix off a keyword
+ * Returns { keyword, weight }, the weight is 1 without a suffix
+ */
+export function parseKeywordWeight(keyword) {
+  const trimmed = String(keyword).trim();
+  const match = trimmed.match(WEIGHT_SUFFIX);
+  return match ? { keyword: match[1].trim(), weight: Number(match[2]) } : { keyword: trimmed, weight: 1 };
+}
+
+/**
+ * Normalize a configured keyword
+ * Plain keywords get the same Unicode normalization as message text, regex keywords keep their case
+ * A weight suffix is kept (as `keyword:weight`), unless the weight is the default 1
+ */
+export function normalizeKeyword(keyword) {
+  const { keyword: base, weight } = parseKeywordWeight(keyword);
+  const normalized = isRegexKeyword(base) ? base : normalizeText(base).trim();
+  return weight === 1 || !normalized ? normalized : `${normalized}:${weight}`;
+}
+
+/**
+ * Build the regex source for one word of a keyword, expanding `*` wildcards
+ */
+function wordPattern(word) {
+  return word
+    .split('*')
+    .map(escapeRegExp)
+    .join(`${WORD_CHAR}*`);
+}
+
+/**
+ * Build a regex for a plain keyword, phrase or wildcard stem
+ */
+function buildKeywordRegex(keyword) {
+  const words = keyword.split(/[\s\-_]+/).filter(w => w.length > 0);
+  const body = words.map(wordPattern).join(SEPARATOR);
+
+  // Only require a boundary where the keyword starts/ends with a word character,
+  // so symbols like "c++" or ".net" still match
+  const boundaries = getBoundaries(keyword);
+  const start = boundaries.start && isWordChar(keyword[0]) ? `(?<!${WORD_CHAR})` : '';
+  const end = boundaries.end && isWordChar(keyword[keyword.length - 1]) ? `(?!${WORD_CHAR})` : '';
+
+  return new RegExp(`${start}${body}${end}`, 'iu');
+}
+
+/**
+ * Compile a keyword into a matcher
+ * @returns {{ keyword: string, regex: RegExp, test: Function }}
+ * @throws {Error} when a /regex/ keyword is invalid
+ */
+export function compileKeyword(keyword) {
+  const normalized = normalizeKeyword(keyword);
+  const regexParts = normalized.match(REGEX_KEYWORD);
+
+  let regex;
+  if (regexParts) {
+    const [, pattern, flags] = regexParts;
+    try {
+      regex = new RegExp(pattern, flags.includes('i') ? flags : `${flags}i`);
+    } catch (error) {
+      throw new Error(`Invalid keyword regex ${normalized}: ${error.message}`);
+    }
+  } else {
+    regex = buildKeywordRegex(normalized);
+  }
+
+  // Global/sticky regexes keep state between test() calls
+  if (regex.global || regex.sticky) {
+    regex = new RegExp(regex.source, regex.flags.replace(/[gy]/g, ''));
+  }
+
+  return {
+    keyword: normalized,
+    regex,
+    test: (text) => regex.test(text)
+  };
+}
+
+/**
+ * Compile a keyword of a keyword list, which may have a `:weight` suffix
+ * @returns {{ keyword: string, weight: number, regex: RegExp, test: Function }}
+ * @throws {Error} when a /regex/ keyword is invalid
+ */
+export function compileWeightedKeyword(keyword) {
+  const { keyword: base, weight } = parseKeywordWeight(keyword);
+  return { ...compileKeyword(base), weight };
+}
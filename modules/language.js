@@ -0,0 +1,115 @@
+/**
+ * Language module
+ * Unicode normalization, script detection and tokenizing for non-Latin job posts
+ */
+
+/**
+ * Scripts we can tell apart and the language their posts are treated as
+ * Detection is script-based: Amharic and Tigrinya both use Ethiopic, Russian and Ukrainian both use Cyrillic
+ */
+const SCRIPTS = [
+  { script: 'ethiopic', language: 'am', pattern: /\p{Script=Ethiopic}/u },
+  { script: 'cyrillic', language: 'ru', pattern: /\p{Script=Cyrillic}/u },
+  { script: 'arabic', language: 'ar', pattern: /\p{Script=Arabic}/u },
+  { script: 'latin', language: 'en', pattern: /\p{Script=Latin}/u }
+];
+
+/**
+ * Characters that make up a word in any script (letters, combining marks, digits)
+ * Used instead of \w, which only knows ASCII
+ */
+export const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}_]';
+
+const WORD_CHAR_REGEX = new RegExp(WORD_CHAR, 'u');
+const TOKEN_REGEX = /[\p{L}\p{M}\p{N}]+[+#]*/gu;
+
+// Ethiopic word separator and punctuation (፡ ። ፣ ፤ ፥ ፦ ፧ ፨)
+const ETHIOPIC_PUNCTUATION = /[\u1361-\u1368]/g;
+// Arabic diacritics (harakat) and tatweel, optional when writing
+const ARABIC_DIACRITICS = /[\u064B-\u065F\u0670\u0640]/g;
+// Zero-width characters that break up words without being visible
+const ZERO_WIDTH = /[\u200B-\u200D\u2060\uFEFF]/g;
+
+/**
+ * Normalize text for matching
+ * Applies NFKC (compatibility forms, e.g. full-width letters), lowercases and strips
+ * characters that vary between writers without changing the meaning
+ */
+export function normalizeText(text) {
+  if (!text) return '';
+
+  return text
+    .normalize('NFKC')
+    .replace(ZERO_WIDTH, '')
+    .replace(ARABIC_DIACRITICS, '')
+    .replace(ETHIOPIC_PUNCTUATION, ' ')
+    .toLowerCase();
+}
+
+/**
+ * Check if a character is a word character in any script
+ */
+export function isWordChar(char) {
+  return Boolean(char) && WORD_CHAR_REGEX.test(char);
+}
+
+/**
+ * Split text into word tokens in any script
+ * Keeps trailing "+" and "#" so tech terms like "c++" and "c#" stay intact
+ */
+export function tokenize(text) {
+  return normalizeText(text).match(TOKEN_REGEX) || [];
+}
+
+/**
+ * Detect the dominant script of a text
+ * Returns a script name ('ethiopic', 'cyrillic', 'arabic', 'latin') or null
+ */
+export function detectScript(text) {
+  const counts = new Map();
+
+  for (const char of text || '') {
+    const entry = SCRIPTS.find(s => s.pattern.test(char));
+    if (entry) {
+      counts.set(entry.script, (counts.get(entry.script) || 0) + 1);
+    }
+  }
+
+  let best = null;
+  let bestCount = 0;
+  for (const [script, count] of counts) {
+    if (count > bestCount) {
+      best = script;
+      bestCount = count;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Detect the language of a post from its dominant script
+ * Returns a language code ('am', 'ru', 'ar', 'en') or null when the text has no letters
+ */
+export function detectLanguage(text) {
+  const script = detectScript(text);
+  return SCRIPTS.find(s => s.script === script)?.language || null;
+}
+
+/**
+ * Word boundaries to enforce around a keyword, based on its script
+ * - Ethiopic and Arabic attach prefixes and suffixes to words (የ-, ለ-, ال-, -ዎች, -ين), so no boundaries
+ * - Cyrillic inflects with suffixes (разработчик-а, -и), so only a start boundary
+ * - Other scripts use whole-word matching
+ */
+export function getBoundaries(keyword) {
+  switch (detectScript(keyword)) {
+    case 'ethiopic':
+    case 'arabic':
+      return { start: false, end: false };
+    case 'cyrillic':
+      return { start: true, end: false };
+    default:
+      return { start: true, end: true };
+  }
+}
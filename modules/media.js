@@ -0,0 +1,60 @@
+/**
+ * Media module
+ * Helpers for messages with photos, documents and albums
+ */
+
+/**
+ * Get the media type the bot can re-send, or null for text, web previews, polls, ...
+ */
+export function getMediaType(message) {
+  switch (message?.media?.className) {
+    case 'MessageMediaPhoto':
+      return 'photo';
+    case 'MessageMediaDocument':
+      return 'document';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the messages a post consists of: the album items, or just the message itself
+ */
+export function getMessageParts(message) {
+  return message.album || [message];
+}
+
+/**
+ * Merge album items (messages sharing a groupedId) into one message per album
+ * The item carrying the caption represents the album and keeps all items in `message.album`
+ * Expects messages sorted oldest first, keeps that order
+ */
+export function groupAlbums(messages) {
+  const result = [];
+  const albums = new Map(); // groupedId -> items
+
+  for (const message of messages) {
+    const groupedId = message.groupedId?.toString();
+    if (!groupedId) {
+      result.push(message);
+      continue;
+    }
+
+    if (!albums.has(groupedId)) {
+      albums.set(groupedId, []);
+      result.push(groupedId); // placeholder, replaced once all items are collected
+    }
+    albums.get(groupedId).push(message);
+  }
+
+  return result.map(entry => {
+    if (typeof entry !== 'string') {
+      return entry;
+    }
+
+    const items = albums.get(entry).sort((a, b) => a.id - b.id);
+    const primary = items.find(item => item.message) || items[0];
+    primary.album = items;
+    return primary;
+  });
+}
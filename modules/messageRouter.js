@@ -0,0 +1,59 @@
+/**
+ * Message Router module
+ * Decides which target chats a matched job post is sent to
+ */
+
+import JobFilter from './jobFilter.js';
+import logger from '../utils/logger.js';
+
+/**
+ * MessageRouter class for rule-based routing of matched posts
+ */
+class MessageRouter {
+  /**
+   * @param {Array} rules - Routing rules ({ name, keywords, expression, targets, fallback })
+   * @param {string} defaultTarget - Target for posts that match no rule
+   */
+  constructor(rules = [], defaultTarget = null) {
+    this.defaultTarget = defaultTarget;
+    this.rules = rules.map(rule => ({
+      ...rule,
+      filter: new JobFilter(rule.keywords, { expression: rule.expression })
+    }));
+    logger.info(`MessageRouter initialized with ${this.rules.length} routing rule(s)`);
+  }
+
+  /**
+   * Get routes for a message
+   * Every matching rule contributes its targets; a target is only returned once
+   * Returns [{ target, fallback, rule }]
+   */
+  getRoutes(message) {
+    const routes = [];
+    const seenTargets = new Set();
+
+    for (const rule of this.rules) {
+      if (!rule.filter.isJobPost(message)) {
+        continue;
+      }
+
+      logger.debug(`Routing rule "${rule.name}" matched`);
+      for (const target of rule.targets) {
+        if (seenTargets.has(target)) {
+          continue;
+        }
+        seenTargets.add(target);
+        routes.push({ target, fallback: rule.fallback, rule: rule.name });
+      }
+    }
+
+    // Posts no rule claims go to the default target
+    if (routes.length === 0 && this.defaultTarget) {
+      routes.push({ target: this.defaultTarget, fallback: null, rule: 'default' });
+    }
+
+    return routes;
+  }
+}
+
+export default MessageRouter;
@@ -0,0 +1,200 @@
+/**
+ * Message Template module
+ * Renders forwarded posts from user-defined templates such as
+ * `<b>{{title}}</b>\n{{text}}{{#salary}}\n💰 {{salary}}{{/salary}}\n<a href="{{link}}">Original</a>`
+ *
+ * Syntax:
+ * - `{{name}}` inserts a value, escaped for the template's parse mode
+ *   (`{{text}}` keeps the post's formatting in HTML templates, see FormattedText)
+ * - `{{#name}}...{{/name}}` keeps its content only when the value is not empty
+ * - Lines left with nothing but empty values and sections are removed
+ * - Everything else is copied as is, so it must already be valid HTML or MarkdownV2
+ */
+
+import { escapeHtml } from '../utils/html.js';
+import { escapeMarkdownV2 } from '../utils/markdown.js';
+
+export const PARSE_MODE_HTML = 'HTML';
+export const PARSE_MODE_MARKDOWN_V2 = 'MarkdownV2';
+
+// Values a template can use (see BotHandler.getTemplateValues)
+export const TEMPLATE_FIELDS = [
+  'text', 'date', 'channel', 'link', 'messageId',
+  'title', 'company', 'location', 'workMode', 'employmentType', 'seniority',
+  'salary', 'deadline', 'contact', 'email', 'applyUrl', 'skippedAttachments',
+  'score', 'keywords', 'jobProbability'
+];
+
+const ESCAPERS = {
+  [PARSE_MODE_HTML]: escapeHtml,
+  [PARSE_MODE_MARKDOWN_V2]: escapeMarkdownV2
+};
+
+const TAG_REGEX = /\{\{\s*([#/]?)\s*(\w+)\s*\}\}/g;
+
+// Stands in for empty values and sections while rendering, to find the lines they leave empty
+const EMPTY_MARK = '\u0000';
+
+// Date format tokens, longest first so `MMM` wins over `MM`
+const DATE_TOKEN_REGEX = /YYYY|MMM|MM|DD|HH|mm|ss/g;
+
+/**
+ * A template value that also has an HTML version, used as is by HTML templates
+ */
+export class FormattedText {
+  constructor(text, html) {
+    this.text = text;
+    this.html = html;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+/**
+ * Format a date with `YYYY-MM-DD HH:mm`-style tokens in a timezone
+ * Tokens: YYYY year, MM month, MMM short month name, DD day, HH hour (00-23), mm minutes, ss seconds
+ */
+export function formatDate(date, format, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const monthName = new Intl.DateTimeFormat('en-US', { timeZone: timezone, month: 'short' }).format(date);
+
+  const values = {
+    YYYY: parts.year,
+    MMM: monthName,
+    MM: parts.month,
+    DD: parts.day,
+    HH: parts.hour,
+    mm: parts.minute,
+    ss: parts.second
+  };
+  return format.replace(DATE_TOKEN_REGEX, token => values[token]);
+}
+
+/**
+ * Split a template into text, value and section nodes
+ * @throws {Error} on unknown values and unbalanced sections
+ */
+function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  for (const match of source.matchAll(TAG_REGEX)) {
+    const [tag, kind, name] = match;
+    const current = stack[stack.length - 1];
+    current.children.push({ type: 'text', value: source.slice(last, match.index) });
+    last = match.index + tag.length;
+
+    if (!TEMPLATE_FIELDS.includes(name)) {
+      throw new Error(`Unknown template value "${name}" (available: ${TEMPLATE_FIELDS.join(', ')})`);
+    }
+
+    if (kind === '#') {
+      const section = { type: 'section', name, children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (current.name !== name) {
+        throw new Error(`Unexpected {{/${name}}}${current.name ? `, expected {{/${current.name}}}` : ''}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'value', name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Missing {{/${stack[stack.length - 1].name}}}`);
+  }
+  root.children.push({ type: 'text', value: source.slice(last) });
+  return root.children;
+}
+
+/**
+ * MessageTemplate class for rendering forwarded posts
+ */
+class MessageTemplate {
+  /**
+   * @param {Object} spec
+   * @param {string|string[]} spec.text - Template, an array is joined with line breaks
+   * @param {string} spec.parseMode - 'HTML' or 'MarkdownV2'
+   * @param {string} spec.timezone - IANA timezone for {{date}}, e.g. 'Africa/Addis_Ababa'
+   * @param {string} spec.dateFormat - Format of {{date}}, see formatDate()
+   * @throws {Error} when the template or its options are invalid
+   */
+  constructor(spec = {}) {
+    this.source = Array.isArray(spec.text) ? spec.text.join('\n') : spec.text;
+    this.parseMode = spec.parseMode || PARSE_MODE_HTML;
+    this.timezone = spec.timezone || 'UTC';
+    this.dateFormat = spec.dateFormat || 'YYYY-MM-DD HH:mm';
+
+    if (typeof this.source !== 'string' || !this.source.trim()) {
+      throw new Error('Template "text" must be a non-empty string or an array of lines');
+    }
+    if (!ESCAPERS[this.parseMode]) {
+      throw new Error(`Unknown parseMode "${this.parseMode}" (expected ${Object.keys(ESCAPERS).join(' or ')})`);
+    }
+    try {
+      formatDate(new Date(), this.dateFormat, this.timezone);
+    } catch (error) {
+      throw new Error(`Invalid timezone "${this.timezone}"`);
+    }
+
+    this.nodes = parseTemplate(this.source);
+  }
+
+  /**
+   * Render the template
+   * @param {Object} values - Template values, null/undefined/'' count as empty
+   * @param {Date} values.date - Formatted with the template's date format and timezone
+   */
+  render(values) {
+    const escape = ESCAPERS[this.parseMode];
+    const toString = (name) => {
+      const value = values[name];
+      if (value === null || value === undefined) return '';
+      return value instanceof Date ? formatDate(value, this.dateFormat, this.timezone) : String(value);
+    };
+
+    const renderValue = (name) => {
+      const value = values[name];
+      if (value instanceof FormattedText && this.parseMode === PARSE_MODE_HTML) {
+        return value.html;
+      }
+      return escape(toString(name));
+    };
+
+    const renderNodes = (nodes) => nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'value':
+          return renderValue(node.name) || EMPTY_MARK;
+        default:
+          return toString(node.name) ? renderNodes(node.children) : EMPTY_MARK;
+      }
+    }).join('');
+
+    return renderNodes(this.nodes)
+      .split('\n')
+      .filter(line => !(line.includes(EMPTY_MARK) && !line.replaceAll(EMPTY_MARK, '').trim()))
+      .join('\n')
+      .replaceAll(EMPTY_MARK, '')
+      .trim();
+  }
+}
+
+export default MessageTemplate;
@@ -0,0 +1,130 @@
+/**
+ * Naive Bayes module
+ * A small multinomial naive Bayes text classifier with Laplace smoothing
+ * Every token counts once per document, which works better for short posts than raw counts
+ */
+
+import { tokenize as tokenizeWords } from './language.js';
+
+/**
+ * Split text into its distinct word tokens (see language.js)
+ * Single characters and plain numbers carry no signal and are left out
+ */
+export function tokenize(text) {
+  const tokens = tokenizeWords(text || '');
+  return [...new Set(tokens.filter(token => token.length > 1 && !/^\d+$/.test(token)))];
+}
+
+/**
+ * NaiveBayes class for classifying texts by label
+ */
+class NaiveBayes {
+  /**
+   * @param {Object} state - Result of toJSON(), to continue training a saved model
+   */
+  constructor(state = {}) {
+    this.docCounts = { ...state.docCounts }; // label -> documents learned
+    this.tokenCounts = {}; // label -> { token -> documents containing it }
+    this.tokenTotals = {}; // label -> sum of tokenCounts[label]
+    this.vocabulary = new Map(); // token -> documents containing it, any label
+
+    for (const [label, counts] of Object.entries(state.tokenCounts || {})) {
+      this.tokenCounts[label] = { ...counts };
+      this.tokenTotals[label] = 0;
+      for (const [token, count] of Object.entries(counts)) {
+        this.tokenTotals[label] += count;
+        this.vocabulary.set(token, (this.vocabulary.get(token) || 0) + count);
+      }
+    }
+  }
+
+  /**
+   * Get the number of documents learned for a label
+   */
+  getDocCount(label) {
+    return this.docCounts[label] || 0;
+  }
+
+  /**
+   * Learn a document, or forget a learned one with a negative delta
+   */
+  update(text, label, delta) {
+    if (!this.tokenCounts[label]) {
+      this.tokenCounts[label] = {};
+      this.tokenTotals[label] = 0;
+    }
+    const counts = this.tokenCounts[label];
+
+    this.docCounts[label] = Math.max(0, this.getDocCount(label) + delta);
+    for (const token of tokenize(text)) {
+      const count = (counts[token] || 0) + delta;
+      if (count < 0) continue;
+
+      counts[token] = count;
+      this.tokenTotals[label] += delta;
+      const total = (this.vocabulary.get(token) || 0) + delta;
+      if (total > 0) {
+        this.vocabulary.set(token, total);
+      } else {
+        this.vocabulary.delete(token);
+      }
+      if (count === 0) {
+        delete counts[token];
+      }
+    }
+  }
+
+  /**
+   * Learn a labelled document
+   */
+  learn(text, label) {
+    this.update(text, label, 1);
+  }
+
+  /**
+   * Forget a previously learned document, e.g. when its label changes
+   */
+  unlearn(text, label) {
+    this.update(text, label, -1);
+  }
+
+  /**
+   * Get the probability of every label for a text
+   * Tokens the model has never seen are ignored
+   * Returns { label: probability }, empty when nothing was learned
+   */
+  predict(text) {
+    const labels = Object.keys(this.docCounts).filter(label => this.docCounts[label] > 0);
+    if (labels.length === 0) {
+      return {};
+    }
+
+    const totalDocs = labels.reduce((sum, label) => sum + this.docCounts[label], 0);
+    const tokens = tokenize(text).filter(token => this.vocabulary.has(token));
+    const vocabularySize = this.vocabulary.size;
+
+    const logScores = labels.map(label => {
+      const counts = this.tokenCounts[label] || {};
+      const denominator = (this.tokenTotals[label] || 0) + vocabularySize;
+      return tokens.reduce(
+        (score, token) => score + Math.log(((counts[token] || 0) + 1) / denominator),
+        Math.log(this.docCounts[label] / totalDocs)
+      );
+    });
+
+    // Normalize in log space, the raw scores underflow for long texts
+    const max = Math.max(...logScores);
+    const weights = logScores.map(score => Math.exp(score - max));
+    const sum = weights.reduce((a, b) => a + b, 0);
+    return Object.fromEntries(labels.map((label, i) => [label, weights[i] / sum]));
+  }
+
+  /**
+   * Get the model state, JSON-serializable
+   */
+  toJSON() {
+    return { docCounts: this.docCounts, tokenCounts: this.tokenCounts };
+  }
+}
+
+export default NaiveBayes;
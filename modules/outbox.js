@@ -0,0 +1,174 @@
+/**
+ * Outbox module
+ * Persists failed deliveries so they are retried with backoff, even across restarts
+ * Entries that keep failing end up in the dead-letter list, from where they can be replayed
+ */
+
+import logger from '../utils/logger.js';
+
+export const OUTBOX_PENDING = 'pending';
+export const OUTBOX_DEAD = 'dead';
+
+/**
+ * Get a readable error description, preferring the Bot API's
+ */
+function describeError(error) {
+  if (typeof error === 'string') return error;
+  return error?.response?.description || error?.message || String(error);
+}
+
+/**
+ * Outbox class for retrying failed deliveries
+ *
+ * Entry: { id, channel, messageId, messageIds, target, rule, status, attempts, nextAttemptAt, lastError, createdAt }
+ * The message itself isn't stored; it is fetched again from the source channel on retry
+ */
+class Outbox {
+  /**
+   * @param {MessageStorage} storage - Persists outbox entries
+   * @param {Object} options
+   * @param {number} options.maxAttempts - Attempts (including the first send) before an entry becomes a dead letter
+   * @param {number} options.retryDelayMs - Delay before the first retry, doubled after every failure
+   * @param {number} options.maxRetryDelayMs - Upper bound for the retry delay
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.maxAttempts = options.maxAttempts ?? 5;
+    this.retryDelayMs = options.retryDelayMs ?? 30 * 1000;
+    this.maxRetryDelayMs = options.maxRetryDelayMs ?? 60 * 60 * 1000;
+
+    const pending = this.storage.getOutboxEntries({ status: OUTBOX_PENDING }).length;
+    const dead = this.storage.getOutboxEntries({ status: OUTBOX_DEAD }).length;
+    logger.info(`Outbox initialized (${pending} pending, ${dead} dead letter(s))`);
+  }
+
+  /**
+   * Delay before the next attempt, after the given number of failed attempts
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.retryDelayMs * 2 ** (attempts - 1), this.maxRetryDelayMs);
+  }
+
+  /**
+   * Queue a delivery whose first attempt failed
+   * @param {string} channel - Source channel
+   * @param {number[]} messageIds - Source message IDs (several for an album)
+   * @param {Object} route - { target, rule } the delivery was for
+   */
+  add(channel, messageIds, route, error, now = Date.now()) {
+    const entry = this.storage.addOutboxEntry({
+      channel,
+      messageId: messageIds[0],
+      messageIds,
+      target: route.target,
+      rule: route.rule || null,
+      status: OUTBOX_PENDING,
+      attempts: 1,
+      nextAttemptAt: now + this.getRetryDelay(1),
+      lastError: describeError(error),
+      createdAt: now
+    });
+
+    if (this.maxAttempts <= 1) {
+      this.markDead(entry, error);
+    } else {
+      logger.warn(
+        `📮 Delivery of ${channel}/${entry.messageId} to ${entry.target} queued for retry ` +
+        `in ${this.getRetryDelay(1) / 1000}s (outbox #${entry.id})`
+      );
+    }
+    return entry;
+  }
+
+  /**
+   * Get pending entries whose next attempt is due
+   */
+  getDue(now = Date.now()) {
+    return this.storage.getOutboxEntries({ status: OUTBOX_PENDING, dueBefore: now });
+  }
+
+  /**
+   * Record a failed retry: schedule the next one, or move the entry to the dead letters
+   */
+  markFailed(entry, error, now = Date.now()) {
+    const updated = { ...entry, attempts: entry.attempts + 1, lastError: describeError(error) };
+
+    if (updated.attempts >= this.maxAttempts) {
+      this.markDead(updated, error);
+      return;
+    }
+
+    updated.nextAttemptAt = now + this.getRetryDelay(updated.attempts);
+    this.storage.updateOutboxEntry(updated);
+    logger.warn(
+      `Retry ${updated.attempts}/${this.maxAttempts} of outbox #${entry.id} failed (${updated.lastError}), ` +
+      `next attempt in ${this.getRetryDelay(updated.attempts) / 1000}s`
+    );
+  }
+
+  /**
+   * Move an entry to the dead letters, it won't be retried until replayed
+   */
+  markDead(entry, error) {
+    const updated = { ...entry, status: OUTBOX_DEAD, lastError: describeError(error) };
+    this.storage.updateOutboxEntry(updated);
+    logger.error(
+      `☠️  Delivery of ${entry.channel}/${entry.messageId} to ${entry.target} moved to dead letters ` +
+      `after ${entry.attempts} attempt(s): ${updated.lastError} (outbox #${entry.id})`
+    );
+  }
+
+  /**
+   * Remove a delivered entry
+   */
+  markDelivered(entry) {
+    this.storage.removeOutboxEntry(entry.id);
+    logger.info(`📬 Outbox #${entry.id} delivered to ${entry.target} after ${entry.attempts + 1} attempt(s)`);
+  }
+
+  /**
+   * Get pending entries
+   */
+  getPending() {
+    return this.storage.getOutboxEntries({ status: OUTBOX_PENDING });
+  }
+
+  /**
+   * Get dead letters
+   */
+  getDeadLetters() {
+    return this.storage.getOutboxEntries({ status: OUTBOX_DEAD });
+  }
+
+  /**
+   * Queue dead letters for an immediate retry, with a fresh set of attempts
+   * @param {number|null} id - Dead letter to replay, or null for all of them
+   * @returns {number} Number of replayed entries
+   */
+  replay(id = null, now = Date.now()) {
+    const entries = this.getDeadLetters().filter(entry => id === null || entry.id === id);
+
+    for (const entry of entries) {
+      this.storage.updateOutboxEntry({ ...entry, status: OUTBOX_PENDING, attempts: 0, nextAttemptAt: now });
+      logger.info(`Outbox #${entry.id} (${entry.channel}/${entry.messageId} to ${entry.target}) queued for replay`);
+    }
+
+    return entries.length;
+  }
+
+  /**
+   * Discard a dead letter for good
+   * @returns {boolean} Whether the dead letter existed
+   */
+  discard(id) {
+    if (!this.getDeadLetters().some(entry => entry.id === id)) {
+      return false;
+    }
+
+    this.storage.removeOutboxEntry(id);
+    logger.info(`Outbox #${id} discarded`);
+    return true;
+  }
+}
+
+export default Outbox;
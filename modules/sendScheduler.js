@@ -0,0 +1,140 @@
+/**
+ * Send Scheduler module
+ * Queues Bot API sends per target chat and paces them to stay within Telegram's rate limits
+ */
+
+import logger from '../utils/logger.js';
+
+// Queue depth from which a growing queue is logged at info level
+const DEPTH_LOG_THRESHOLD = 5;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get the retry_after (seconds) of a 429 Too Many Requests error, or null
+ */
+function getRetryAfter(error) {
+  if (error?.response?.error_code !== 429) {
+    return null;
+  }
+  return error.response.parameters?.retry_after ?? 1;
+}
+
+/**
+ * SendScheduler class for rate-limited sending
+ * Sends to one chat run one at a time in order; different chats share the global rate
+ */
+class SendScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.perChatPerMinute - Max messages per minute to one chat
+   * @param {number} options.globalPerSecond - Max messages per second across all chats
+   * @param {number} options.maxRetries - Retries of a send rejected with 429 retry_after
+   */
+  constructor(options = {}) {
+    this.perChatIntervalMs = 60000 / (options.perChatPerMinute || 20);
+    this.globalIntervalMs = 1000 / (options.globalPerSecond || 25);
+    this.maxRetries = options.maxRetries ?? 3;
+    this.chats = new Map(); // chatId -> { queue, nextAllowedAt, isDraining }
+    this.nextGlobalAt = 0;
+  }
+
+  /**
+   * Get the send state of a chat
+   */
+  getChat(chatId) {
+    const key = String(chatId);
+    if (!this.chats.has(key)) {
+      this.chats.set(key, { queue: [], nextAllowedAt: 0, isDraining: false });
+    }
+    return this.chats.get(key);
+  }
+
+  /**
+   * Number of sends waiting, for one chat or all of them
+   */
+  getQueueDepth(chatId = null) {
+    if (chatId !== null) {
+      return this.chats.get(String(chatId))?.queue.length || 0;
+    }
+    return [...this.chats.values()].reduce((total, chat) => total + chat.queue.length, 0);
+  }
+
+  /**
+   * Queue a send to a chat
+   * @param {string} chatId - Target chat
+   * @param {Function} send - Performs the Bot API call, returns a promise
+   * @param {number} weight - Messages the call produces (e.g. items of a media group)
+   * @returns {Promise} Resolves with the result of send()
+   */
+  schedule(chatId, send, weight = 1) {
+    return new Promise((resolve, reject) => {
+      const chat = this.getChat(chatId);
+      chat.queue.push({ send, weight, resolve, reject, retries: 0 });
+
+      const depth = chat.queue.length;
+      const message = `Send queue for ${chatId}: ${depth} waiting (${this.getQueueDepth()} in total)`;
+      if (depth >= DEPTH_LOG_THRESHOLD) {
+        logger.info(`📦 ${message}`);
+      } else {
+        logger.debug(message);
+      }
+
+      this.drain(chatId, chat);
+    });
+  }
+
+  /**
+   * Reserve the next free slot of the global rate, returns when it starts
+   */
+  reserveGlobalSlot(weight) {
+    const at = Math.max(Date.now(), this.nextGlobalAt);
+    this.nextGlobalAt = at + this.globalIntervalMs * weight;
+    return at;
+  }
+
+  /**
+   * Send everything queued for a chat, one at a time
+   */
+  async drain(chatId, chat) {
+    if (chat.isDraining) {
+      return;
+    }
+    chat.isDraining = true;
+
+    while (chat.queue.length > 0) {
+      const job = chat.queue[0];
+
+      await sleep(Math.max(0, chat.nextAllowedAt - Date.now()));
+      await sleep(Math.max(0, this.reserveGlobalSlot(job.weight) - Date.now()));
+
+      try {
+        const result = await job.send();
+        chat.queue.shift();
+        job.resolve(result);
+      } catch (error) {
+        const retryAfter = getRetryAfter(error);
+        if (retryAfter !== null && job.retries < this.maxRetries) {
+          job.retries++;
+          chat.nextAllowedAt = Date.now() + retryAfter * 1000;
+          // Hold back the other chats as well, Telegram may be limiting the bot as a whole
+          this.nextGlobalAt = Math.max(this.nextGlobalAt, chat.nextAllowedAt);
+          logger.warn(
+            `⏳ Rate limited by Telegram for ${chatId}, retrying in ${retryAfter}s ` +
+            `(retry ${job.retries}/${this.maxRetries}, ${chat.queue.length} waiting)`
+          );
+          continue;
+        }
+
+        chat.queue.shift();
+        job.reject(error);
+      }
+
+      chat.nextAllowedAt = Math.max(chat.nextAllowedAt, Date.now() + this.perChatIntervalMs * job.weight);
+    }
+
+    chat.isDraining = false;
+  }
+}
+
+export default SendScheduler;
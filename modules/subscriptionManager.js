@@ -0,0 +1,239 @@
+/**
+ * Subscription Manager module
+ * Personal job alerts: users DM the bot a filter, matching posts are delivered to them privately
+ */
+
+import JobFilter from './jobFilter.js';
+import { escapeHtml } from '../utils/html.js';
+import logger from '../utils/logger.js';
+
+const HELP_TEXT = [
+  '<b>🔔 Personal job alerts</b>',
+  'Get matching job posts sent to you privately.',
+  '',
+  '/subscribe &lt;filter&gt; - Add an alert, e.g. <code>/subscribe react remote</code>',
+  '/subscriptions - List your alerts',
+  '/unsubscribe &lt;number&gt; - Remove one alert',
+  '/unsubscribe all - Remove all your alerts',
+  '',
+  'All words of a filter must appear in the post. Filters also support <code>OR</code>, <code>NOT</code>, ',
+  '"quoted phrases" and fields, e.g. <code>/subscribe (react OR vue) mode:remote -intern</code>'
+].join('\n');
+
+/**
+ * Check whether a Bot API error means the user can't be messaged anymore
+ * (blocked the bot, deleted their account, never started the bot)
+ */
+function isUnreachableError(error) {
+  return error.response?.error_code === 403;
+}
+
+/**
+ * SubscriptionManager class for personal job alerts
+ */
+class SubscriptionManager {
+  /**
+   * @param {MessageStorage} storage - Stores subscriptions
+   * @param {BotHandler} botHandler - Delivers matching posts
+   * @param {Object} options
+   * @param {number[]} options.allowedUserIds - Users allowed to subscribe, anyone when empty
+   * @param {number} options.maxPerUser - Max subscriptions per user
+   */
+  constructor(storage, botHandler, options = {}) {
+    this.storage = storage;
+    this.botHandler = botHandler;
+    this.allowedUserIds = new Set((options.allowedUserIds || []).map(Number));
+    this.maxPerUser = options.maxPerUser ?? 10;
+    this.filters = new Map(); // query -> compiled JobFilter
+    logger.info(`SubscriptionManager initialized with ${this.storage.getSubscriptions().length} subscription(s)`);
+  }
+
+  /**
+   * Register subscription commands on a Telegraf bot
+   */
+  register(bot) {
+    const commands = {
+      start: this.handleHelp,
+      help: this.handleHelp,
+      subscribe: this.handleSubscribe,
+      subscriptions: this.handleList,
+      unsubscribe: this.handleUnsubscribe
+    };
+
+    for (const [name, handler] of Object.entries(commands)) {
+      bot.command(name, async (ctx) => {
+        try {
+          if (ctx.chat?.type !== 'private') {
+            await ctx.reply('Please message me directly to manage job alerts.');
+            return;
+          }
+          if (!this.isAllowed(ctx.from.id)) {
+            await ctx.reply('⛔ Job alerts are not available for your account.');
+            return;
+          }
+          await handler.call(this, ctx, this.getArgs(ctx));
+        } catch (error) {
+          logger.error(`Error handling /${name} command:`, error);
+          await ctx.reply(`❌ /${name} failed, please try again later.`).catch(() => {});
+        }
+      });
+    }
+
+    logger.info('Subscription commands registered');
+  }
+
+  /**
+   * Check whether a user may subscribe
+   */
+  isAllowed(userId) {
+    return this.allowedUserIds.size === 0 || this.allowedUserIds.has(userId);
+  }
+
+  /**
+   * Get the text after the command (`/subscribe@MyBot react` -> "react")
+   */
+  getArgs(ctx) {
+    const text = ctx.message?.text || '';
+    const match = text.match(/^\/\S+\s*([\s\S]*)$/);
+    return match ? match[1].trim() : '';
+  }
+
+  /**
+   * Get the compiled filter of a subscription query
+   * @throws {FilterSyntaxError} when the query is not a valid filter expression
+   */
+  getFilter(query) {
+    let filter = this.filters.get(query);
+    if (!filter) {
+      filter = new JobFilter([], { expression: query });
+      this.filters.set(query, filter);
+    }
+    return filter;
+  }
+
+  async handleHelp(ctx) {
+    await ctx.reply(HELP_TEXT, { parse_mode: 'HTML' });
+  }
+
+  async handleSubscribe(ctx, query) {
+    if (!query) {
+      await ctx.reply('Usage: /subscribe <filter>, e.g. /subscribe react remote');
+      return;
+    }
+
+    const userId = ctx.from.id;
+    if (this.storage.getSubscriptions(userId).length >= this.maxPerUser) {
+      await ctx.reply(`You already have ${this.maxPerUser} alerts. Remove one with /unsubscribe <number> first.`);
+      return;
+    }
+
+    try {
+      this.getFilter(query);
+    } catch (error) {
+      await ctx.reply(`❌ Invalid filter:\n<pre>${escapeHtml(error.message)}</pre>`, { parse_mode: 'HTML' });
+      return;
+    }
+
+    const subscription = this.storage.addSubscription(userId, query);
+    logger.info(`User ${userId} subscribed to "${query}" (#${subscription.id})`);
+    await ctx.reply(
+      `✅ Alert #${subscription.id} added: <code>${escapeHtml(query)}</code>\nMatching job posts will be sent here.`,
+      { parse_mode: 'HTML' }
+    );
+  }
+
+  async handleList(ctx) {
+    const subscriptions = this.storage.getSubscriptions(ctx.from.id);
+    if (subscriptions.length === 0) {
+      await ctx.reply('You have no job alerts. Add one with /subscribe <filter>');
+      return;
+    }
+
+    const lines = subscriptions.map(sub => `#${sub.id}: <code>${escapeHtml(sub.query)}</code>`);
+    await ctx.reply(`<b>🔔 Your job alerts</b>\n${lines.join('\n')}`, { parse_mode: 'HTML' });
+  }
+
+  async handleUnsubscribe(ctx, args) {
+    const userId = ctx.from.id;
+
+    if (!args) {
+      await ctx.reply('Usage: /unsubscribe <number>, or /unsubscribe all to remove all your alerts. See /subscriptions');
+      return;
+    }
+
+    if (args.toLowerCase() === 'all') {
+      const count = this.storage.removeSubscriptions(userId);
+      logger.info(`User ${userId} removed all ${count} subscription(s)`);
+      await ctx.reply(count > 0 ? `✅ Removed all ${count} alert(s).` : 'You have no job alerts.');
+      return;
+    }
+
+    // Accept "3", "#3" or the filter text itself
+    const id = /^#?\d+$/.test(args)
+      ? Number(args.replace('#', ''))
+      : this.storage.getSubscriptions(userId).find(sub => sub.query === args)?.id;
+
+    if (id === undefined || !this.storage.removeSubscription(userId, id)) {
+      await ctx.reply('No such alert. See /subscriptions');
+      return;
+    }
+
+    logger.info(`User ${userId} removed subscription #${id}`);
+    await ctx.reply(`✅ Alert #${id} removed.`);
+  }
+
+  /**
+   * Get the users with at least one subscription matching the message
+   */
+  getMatchingUsers(message) {
+    const users = new Set();
+
+    for (const sub of this.storage.getSubscriptions()) {
+      if (users.has(sub.userId)) {
+        continue;
+      }
+
+      try {
+        if (this.getFilter(sub.query).evaluate(message).isMatch) {
+          users.add(sub.userId);
+        }
+      } catch (error) {
+        logger.error(`Error evaluating subscription #${sub.id}:`, error);
+      }
+    }
+
+    return [...users];
+  }
+
+  /**
+   * Deliver a post to every subscriber whose filter matches it
+   * Users who blocked the bot have their subscriptions removed
+   * Returns the number of users the post was delivered to
+   * @param {Object} message - Parsed post (see JobParser.parseMessage)
+   * @param {number[]} users - The matching users, when already known (see getMatchingUsers)
+   */
+  async deliver(message, users = this.getMatchingUsers(message)) {
+    let delivered = 0;
+
+    for (const userId of users) {
+      try {
+        await this.botHandler.forwardMessage(message, String(userId));
+        delivered++;
+      } catch (error) {
+        if (isUnreachableError(error)) {
+          const count = this.storage.removeSubscriptions(userId);
+          logger.warn(`User ${userId} can't be messaged (${error.response.description}), removed ${count} subscription(s)`);
+        } else {
+          logger.error(`Delivery of job alert to user ${userId} failed:`, error);
+        }
+      }
+    }
+
+    if (delivered > 0) {
+      logger.info(`🔔 Job alert for message ${message.id} delivered to ${delivered} subscriber(s)`);
+    }
+    return delivered;
+  }
+}
+
+export default SubscriptionManager;
@@ -3,9 +3,14 @@
  * Handles MTProto connection and channel monitoring using GramJS
  */
 
-import { TelegramClient } from 'telegram';
+import { TelegramClient, utils } from 'telegram';
 import { StringSession } from 'telegram/sessions/index.js';
+import { NewMessage } from 'telegram/events/index.js';
+import { Album } from 'telegram/events/Album.js';
+import { DeletedMessage } from 'telegram/events/DeletedMessage.js';
+import { EditedMessage } from 'telegram/events/EditedMessage.js';
 import readline from 'readline';
+import { getMediaType, getMessageParts, groupAlbums } from './media.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -18,7 +23,9 @@ class TelegramChannelClient {
     this.sessionString = sessionString;
     this.client = null;
     this.isConnected = false;
-    this.lastMessageId = 0;
+    this.lastMessageIds = new Map(); // channel username -> last seen message ID
+    this.channels = new Map(); // channel username -> resolved entity
+    this.updateSubscription = null; // { channelUsernames, handler } for real-time updates
   }
 
   /**
@@ -169,6 +176,11 @@ class TelegramChannelClient {
         logger.warn(`SESSION_STRING=${currentSessionString}\n`);
       }
 
+      // A reconnect creates a new client, so update handlers must be attached again
+      if (this.updateSubscription) {
+        await this.attachUpdateHandler();
+      }
+
       logger.info('Successfully connected and authorized to Telegram');
       return true;
     } catch (error) {
@@ -195,6 +207,7 @@ class TelegramChannelClient {
 
   /**
    * Get channel entity by username
+   * Entities are cached, so polling doesn't resolve the username every time
    */
   async getChannel(username) {
     try {
@@ -202,6 +215,10 @@ class TelegramChannelClient {
         throw new Error('Client not connected');
       }
 
+      if (this.channels.has(username)) {
+        return this.channels.get(username);
+      }
+
       logger.info(`Getting channel: ${username}`);
       const entity = await this.client.getEntity(username);
       
@@ -210,6 +227,7 @@ class TelegramChannelClient {
       }
 
       logger.info(`Channel found: ${entity.title || entity.username}`);
+      this.channels.set(username, entity);
       return entity;
     } catch (error) {
       logger.error(`Error getting channel ${username}:`, error);
@@ -217,39 +235,145 @@ class TelegramChannelClient {
     }
   }
 
+  /**
+   * Get last seen message ID for a channel
+   */
+  getLastMessageId(channelUsername) {
+    return this.lastMessageIds.get(channelUsername) || 0;
+  }
+
+  /**
+   * Set last seen message ID for a channel (e.g. a cursor restored from storage)
+   */
+  setLastMessageId(channelUsername, messageId) {
+    this.lastMessageIds.set(channelUsername, messageId);
+  }
+
+  /**
+   * Fetch all messages newer than minId, paging backwards with offsetId
+   * At most maxCount of the newest messages are returned, oldest first
+   */
+  async getMessagesSince(channel, minId, maxCount) {
+    const pageSize = 100;
+    const messages = [];
+    let offsetId = 0;
+
+    while (messages.length < maxCount) {
+      const page = await this.client.getMessages(channel, {
+        limit: Math.min(pageSize, maxCount - messages.length),
+        minId,
+        offsetId
+      });
+
+      messages.push(...page);
+
+      if (page.length < pageSize) {
+        break;
+      }
+      offsetId = Math.min(...page.map(m => m.id));
+    }
+
+    return messages.sort((a, b) => a.id - b.id);
+  }
+
   /**
    * Get new messages from channel
-   * Returns messages newer than lastMessageId
+   * Returns messages newer than the channel's last seen message ID, oldest first
+   * maxCount caps how many messages are backfilled when there is a large gap
    */
-  async getNewMessages(channelUsername, limit = 10) {
+  async getNewMessages(channelUsername, maxCount = 500) {
     try {
       if (!this.isConnected) {
         throw new Error('Client not connected');
       }
 
       const channel = await this.getChannel(channelUsername);
+      const lastMessageId = this.getLastMessageId(channelUsername);
       
       // Get messages
-      const messages = await this.client.getMessages(channel.id, {
-        limit: limit,
-        minId: this.lastMessageId
-      });
+      const messages = await this.getMessagesSince(channel, lastMessageId, maxCount);
+
+      if (messages.length >= maxCount) {
+        logger.warn(
+          `Backfill limit reached for ${channelUsername}: only the newest ${maxCount} messages ` +
+          `since ID ${lastMessageId} are fetched, older ones may be skipped`
+        );
+      }
 
       // Update last message ID if we got new messages
       if (messages.length > 0) {
-        const maxId = Math.max(...messages.map(m => m.id));
-        if (maxId > this.lastMessageId) {
-          this.lastMessageId = maxId;
+        const maxId = messages[messages.length - 1].id;
+        if (maxId > lastMessageId) {
+          this.lastMessageIds.set(channelUsername, maxId);
         }
       }
 
       return messages;
     } catch (error) {
-      logger.error('Error getting messages:', error);
+      logger.error(`Error getting messages from ${channelUsername}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Get messages of a channel by ID, oldest first
+   * Deleted messages are left out
+   */
+  async getMessagesByIds(channelUsername, ids) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('Client not connected');
+      }
+
+      const channel = await this.getChannel(channelUsername);
+      const messages = await this.client.getMessages(channel, { ids });
+
+      return messages
+        .filter(message => message && message.className === 'Message')
+        .sort((a, b) => a.id - b.id);
+    } catch (error) {
+      logger.error(`Error getting messages ${ids.join(', ')} from ${channelUsername}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Page through a channel's history, newest first, paging backwards with offsetId
+   * Yields pages of up to pageSize messages until the start of the channel (or minId) is reached
+   * @param {Object} options
+   * @param {number} options.offsetId - Start below this message ID (exclusive), 0 for the newest message
+   * @param {number} options.offsetDate - Without offsetId: start before this date (unix seconds, exclusive)
+   * @param {number} options.minId - Stop at this message ID (exclusive)
+   * @param {number} options.maxId - Leave out messages from this ID on (exclusive)
+   */
+  async *iterateHistory(channelUsername, { offsetId = 0, offsetDate, minId = 0, maxId = 0, pageSize = 100 } = {}) {
+    if (!this.isConnected) {
+      throw new Error('Client not connected');
+    }
+
+    const channel = await this.getChannel(channelUsername);
+
+    while (true) {
+      const page = await this.client.getMessages(channel, {
+        limit: pageSize,
+        offsetId,
+        offsetDate: offsetId ? undefined : offsetDate,
+        minId,
+        maxId
+      });
+
+      if (page.length === 0) {
+        return;
+      }
+      yield page;
+
+      if (page.length < pageSize) {
+        return;
+      }
+      offsetId = Math.min(...page.map(m => m.id));
+    }
+  }
+
   /**
    * Get all recent messages (for initial scan)
    */
@@ -261,23 +385,141 @@ class TelegramChannelClient {
 
       const channel = await this.getChannel(channelUsername);
       
-      const messages = await this.client.getMessages(channel.id, {
+      const messages = await this.client.getMessages(channel, {
         limit: limit
       });
 
       // Set last message ID to the highest ID
       if (messages.length > 0) {
-        this.lastMessageId = Math.max(...messages.map(m => m.id));
-        logger.info(`Initial scan complete. Last message ID: ${this.lastMessageId}`);
+        const lastMessageId = Math.max(...messages.map(m => m.id));
+        this.lastMessageIds.set(channelUsername, lastMessageId);
+        logger.info(`Initial scan of ${channelUsername} complete. Last message ID: ${lastMessageId}`);
       }
 
       return messages;
     } catch (error) {
-      logger.error('Error getting recent messages:', error);
+      logger.error(`Error getting recent messages from ${channelUsername}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Receive new messages of the given channels as soon as they are posted (MTProto update events)
+   * Handlers stay attached across reconnects:
+   * - onMessage(message, channelUsername) for new posts
+   * - onEdit(message, channelUsername) for edited posts (optional)
+   * - onDelete(messageIds, channelUsername) for deleted posts (optional)
+   */
+  async subscribeToChannels(channelUsernames, handlers) {
+    this.updateSubscription = { channelUsernames, handlers };
+    await this.attachUpdateHandler();
+  }
+
+  /**
+   * Attach the update handlers of the current subscription to the client
+   */
+  async attachUpdateHandler() {
+    const { channelUsernames, handlers } = this.updateSubscription;
+    const usernamesByPeerId = new Map();
+
+    for (const username of channelUsernames) {
+      try {
+        const channel = await this.getChannel(username);
+        if (channel.left) {
+          logger.warn(
+            `Not a member of ${username}: Telegram only pushes updates for joined channels, ` +
+            'its posts will arrive with catch-up polls instead'
+          );
+        }
+        usernamesByPeerId.set(utils.getPeerId(channel), username);
+      } catch (error) {
+        logger.error(`Could not subscribe to updates of ${username}:`, error);
+      }
+    }
+
+    if (usernamesByPeerId.size === 0) {
+      return;
+    }
+
+    const dispatch = async (handler, event, payload) => {
+      const username = usernamesByPeerId.get(event.chatId?.toString());
+      if (!username) return;
+
+      try {
+        await handler(payload, username);
+      } catch (error) {
+        logger.error(`Error handling update from ${username}:`, error);
+      }
+    };
+    const chats = [...usernamesByPeerId.keys()];
+
+    // Album items arrive as separate messages, the Album event collects them into one post
+    this.client.addEventHandler(async (event) => {
+      if (!event.message.groupedId) {
+        await dispatch(handlers.onMessage, event, event.message);
+      }
+    }, new NewMessage({ chats }));
+    this.client.addEventHandler(async (event) => {
+      await dispatch(handlers.onMessage, event, groupAlbums(event.messages)[0]);
+    }, new Album({ chats }));
+
+    if (handlers.onEdit) {
+      this.client.addEventHandler(async (event) => {
+        await dispatch(handlers.onEdit, event, event.message);
+      }, new EditedMessage({ chats }));
+    }
+    if (handlers.onDelete) {
+      this.client.addEventHandler(async (event) => {
+        await dispatch(handlers.onDelete, event, event.deletedIds);
+      }, new DeletedMessage({ chats }));
+    }
+
+    logger.info(`📡 Listening for new messages in ${[...usernamesByPeerId.values()].join(', ')}`);
+  }
+
+  /**
+   * Download the photos and documents of a post (every item of an album)
+   * Files over maxBytes are skipped. Sets and returns `message.mediaFiles`
+   * ([{ type, buffer, fileName, mimeType }]) and sets `message.skippedMediaCount`
+   */
+  async downloadMedia(message, maxBytes) {
+    const files = [];
+    let skipped = 0;
+
+    for (const part of getMessageParts(message)) {
+      const type = getMediaType(part);
+      if (!type) continue;
+
+      const size = Number(part.file?.size || 0);
+      if (size > maxBytes) {
+        logger.warn(`Skipping media of message ${part.id}: ${(size / 1048576).toFixed(1)} MB is over the size limit`);
+        skipped++;
+        continue;
+      }
+
+      try {
+        const buffer = await this.client.downloadMedia(part, {});
+        files.push({
+          type,
+          buffer,
+          fileName: part.file?.name || (type === 'photo' ? `photo_${part.id}.jpg` : `document_${part.id}`),
+          mimeType: part.file?.mimeType || null
+        });
+      } catch (error) {
+        logger.error(`Error downloading media of message ${part.id}:`, error);
+        skipped++;
+      }
+    }
+
+    if (files.length > 0) {
+      logger.debug(`Downloaded ${files.length} media file(s) of message ${message.id}`);
+    }
+
+    message.mediaFiles = files;
+    message.skippedMediaCount = skipped;
+    return files;
+  }
+
   /**
    * Get session string (for saving to .env)
    */
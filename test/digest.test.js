@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Digest, { parseSchedule } from '../modules/digest.js';
+import { htmlTextLength } from '../utils/html.js';
+
+/**
+ * In-memory stand-in for the digest part of MessageStorage
+ */
+function createStorage(entries = []) {
+  const settings = new Map();
+  return {
+    entries,
+    getSetting: (key, fallback) => (settings.has(key) ? settings.get(key) : fallback),
+    setSetting: (key, value) => settings.set(key, value),
+    getDigestEntries() {
+      return this.entries;
+    },
+    removeDigestEntries(ids) {
+      this.entries = this.entries.filter(entry => !ids.includes(entry.id));
+    }
+  };
+}
+
+/**
+ * Bot handler stand-in that records sent digests, failing from the given send on
+ */
+function createBot(failFrom = Infinity) {
+  return {
+    sent: [],
+    async sendMessage(text, target) {
+      if (this.sent.length >= failFrom) {
+        throw new Error('400: Bad Request');
+      }
+      this.sent.push({ text, target });
+    }
+  };
+}
+
+const entry = (id, target = '@jobs', line = `• <a href="https://t.me/c/${id}">Job ${id}</a>`) => ({ id, target, line });
+
+describe('parseSchedule', () => {
+  it('parses hourly, daily and times of the day', () => {
+    assert.deepEqual(parseSchedule('hourly'), { hourly: true });
+    assert.deepEqual(parseSchedule(''), { hourly: false, times: ['09:00'] });
+    assert.deepEqual(parseSchedule('18:00, 9:30,18:00'), { hourly: false, times: ['09:30', '18:00'] });
+  });
+
+  it('rejects invalid times', () => {
+    assert.throws(() => parseSchedule('25:00'), /Invalid time "25:00"/);
+    assert.throws(() => parseSchedule('weekly'), /Invalid time/);
+    assert.throws(() => parseSchedule(','), /Schedule must be/);
+  });
+});
+
+describe('Digest slots', () => {
+  // Addis Ababa is UTC+3 all year
+  const digest = new Digest(createStorage(), createBot(), {
+    schedule: parseSchedule('09:00,18:00'),
+    timezone: 'Africa/Addis_Ababa'
+  });
+
+  it('falls in the last time of the day that has passed, in the schedule timezone', () => {
+    assert.equal(digest.getSlot(Date.parse('2024-05-01T06:00:00Z')), '2024-05-01 09:00');
+    assert.equal(digest.getSlot(Date.parse('2024-05-01T14:59:00Z')), '2024-05-01 09:00');
+    assert.equal(digest.getSlot(Date.parse('2024-05-01T15:00:00Z')), '2024-05-01 18:00');
+  });
+
+  it('belongs to yesterday before the first time of the day', () => {
+    assert.equal(digest.getSlot(Date.parse('2024-05-01T05:59:00Z')), '2024-04-30 18:00');
+    assert.equal(digest.getSlot(Date.parse('2024-04-30T22:00:00Z')), '2024-04-30 18:00');
+  });
+
+  it('starts every hour in hourly mode', () => {
+    const hourly = new Digest(createStorage(), createBot(), { schedule: parseSchedule('hourly'), timezone: 'Asia/Kolkata' });
+    assert.equal(hourly.getSlot(Date.parse('2024-05-01T10:29:00Z')), '2024-05-01 15:00');
+    assert.equal(hourly.getSlot(Date.parse('2024-05-01T10:31:00Z')), '2024-05-01 16:00');
+  });
+
+  it('sends once per slot and waits for the first slot after the first run', async () => {
+    const storage = createStorage([entry(1), entry(2, '@other')]);
+    const bot = createBot();
+    const daily = new Digest(storage, bot, { schedule: parseSchedule('09:00'), timezone: 'UTC' });
+
+    assert.equal(await daily.sendIfDue(Date.parse('2024-05-01T10:00:00Z')), 0);
+    assert.equal(await daily.sendIfDue(Date.parse('2024-05-01T23:00:00Z')), 0);
+    assert.equal(await daily.sendIfDue(Date.parse('2024-05-02T09:00:00Z')), 2);
+    assert.deepEqual(bot.sent.map(message => message.target), ['@jobs', '@other']);
+    assert.equal(storage.entries.length, 0);
+
+    storage.entries.push(entry(3));
+    assert.equal(await daily.sendIfDue(Date.parse('2024-05-02T12:00:00Z')), 0);
+    assert.equal(await daily.sendIfDue(Date.parse('2024-05-05T08:00:00Z')), 1);
+  });
+});
+
+describe('Digest messages', () => {
+  const digest = new Digest(createStorage(), createBot());
+
+  it('sends a single message when everything fits', () => {
+    const messages = digest.buildMessages([entry(1), entry(2)]);
+    assert.equal(messages.length, 1);
+    assert.deepEqual(messages[0].ids, [1, 2]);
+    assert.match(messages[0].text, /^<b>📰 Job digest<\/b>: 2 new posts\n\n• <a/);
+  });
+
+  it('splits long digests between entries, below the message limit', () => {
+    const line = (id) => `• <b>${'x'.repeat(180)}</b> &amp; job ${id}`;
+    const entries = Array.from({ length: 50 }, (_, i) => entry(i + 1, '@jobs', line(i + 1)));
+
+    const messages = digest.buildMessages(entries);
+    assert.ok(messages.length > 1);
+    assert.deepEqual(messages.flatMap(message => message.ids), entries.map(e => e.id));
+    messages.forEach((message, index) => {
+      assert.ok(htmlTextLength(message.text) <= 4096);
+      assert.ok(message.text.includes(`50 new posts (part ${index + 1}/${messages.length})`));
+      assert.equal(message.text.split('\n').slice(2).length, message.ids.length);
+    });
+  });
+
+  it('keeps the entries of a failed message for the next digest', async () => {
+    const line = (id) => `• ${'y'.repeat(1900)} ${id}`;
+    const storage = createStorage([1, 2, 3, 4].map(id => entry(id, '@jobs', line(id))));
+    const partial = new Digest(storage, createBot(1));
+
+    assert.equal(await partial.send(), 2);
+    assert.deepEqual(storage.entries.map(e => e.id), [3, 4]);
+  });
+});
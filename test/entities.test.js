@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { entitiesToHtml, inlineHiddenUrls } from '../utils/entities.js';
+import { escapeHtml, htmlTextLength, stripHtml } from '../utils/html.js';
+import { escapeMarkdownV2, markdownV2TextLength } from '../utils/markdown.js';
+
+const entity = (className, offset, length, extra = {}) => ({ className, offset, length, ...extra });
+
+describe('entitiesToHtml', () => {
+  it('escapes text without entities', () => {
+    assert.equal(entitiesToHtml('a < b & "c"'), 'a &lt; b &amp; &quot;c&quot;');
+    assert.equal(entitiesToHtml(''), '');
+  });
+
+  it('uses UTF-16 offsets, so entities after emoji land on the right text', () => {
+    // 🚀 is two UTF-16 code units
+    const text = '🚀 Senior dev at Acme';
+    const html = entitiesToHtml(text, [entity('MessageEntityBold', 3, 10), entity('MessageEntityItalic', 17, 4)]);
+    assert.equal(html, '🚀 <b>Senior dev</b> at <i>Acme</i>');
+  });
+
+  it('closes and reopens overlapping entities', () => {
+    const html = entitiesToHtml('bold both italic', [
+      entity('MessageEntityBold', 0, 9),
+      entity('MessageEntityItalic', 5, 11)
+    ]);
+    assert.equal(html, '<b>bold <i>both</i></b><i> italic</i>');
+  });
+
+  it('keeps nested entities inside their parent', () => {
+    const html = entitiesToHtml('apply here now', [
+      entity('MessageEntityBold', 0, 14),
+      entity('MessageEntityTextUrl', 0, 10, { url: 'https://example.com/?a=1&b=2' })
+    ]);
+    assert.equal(html, '<b><a href="https://example.com/?a=1&amp;b=2">apply here</a> now</b>');
+  });
+
+  it('keeps code verbatim', () => {
+    const html = entitiesToHtml('run npm i', [
+      entity('MessageEntityPre', 4, 5, { language: 'bash' }),
+      entity('MessageEntityBold', 4, 3)
+    ]);
+    assert.equal(html, 'run <pre><code class="language-bash">npm i</code></pre>');
+  });
+
+  it('leaves unsafe links and entities past the end out', () => {
+    const html = entitiesToHtml('click', [
+      entity('MessageEntityTextUrl', 0, 5, { url: 'javascript:alert(1)' }),
+      entity('MessageEntityBold', 3, 10)
+    ]);
+    assert.equal(html, 'cli<b>ck</b>');
+  });
+
+  it('produces HTML whose visible text is the original text', () => {
+    const text = '💼 <Dev> & "QA" — 🇪🇹 remote';
+    const html = entitiesToHtml(text, [entity('MessageEntityBold', 0, 8), entity('MessageEntityUnderline', 19, 6)]);
+    assert.equal(stripHtml(html), text);
+    assert.equal(htmlTextLength(html), text.length);
+  });
+});
+
+describe('inlineHiddenUrls', () => {
+  it('adds the URLs of text links after their text', () => {
+    const text = '🔥 Apply here or there';
+    const result = inlineHiddenUrls(text, [
+      entity('MessageEntityTextUrl', 3, 10, { url: 'https://jobs.example.com/1' }),
+      entity('MessageEntityTextUrl', 17, 5, { url: 'tg://resolve?domain=hr' })
+    ]);
+    assert.equal(result, '🔥 Apply here (https://jobs.example.com/1) or there (tg://resolve?domain=hr)');
+  });
+
+  it('skips links whose text already shows the URL', () => {
+    const text = 'https://example.com';
+    assert.equal(inlineHiddenUrls(text, [entity('MessageEntityTextUrl', 0, 19, { url: text })]), text);
+  });
+});
+
+describe('MarkdownV2 helpers', () => {
+  it('escapes every special character', () => {
+    assert.equal(escapeMarkdownV2('C# (senior) - 2.5k_$!'), 'C\\# \\(senior\\) \\- 2\\.5k\\_$\\!');
+  });
+
+  it('measures the visible text', () => {
+    const text = 'Node.js (remote) - 5k!';
+    assert.equal(markdownV2TextLength(escapeMarkdownV2(text)), text.length);
+    assert.equal(markdownV2TextLength(`*${escapeMarkdownV2('a.b')}* [link](https://x\\.com)`), 'a.b link'.length);
+  });
+});
+
+describe('HTML helpers', () => {
+  it('escapes and measures HTML', () => {
+    assert.equal(escapeHtml(`<a href='x'>`), '&lt;a href=&#039;x&#039;&gt;');
+    assert.equal(htmlTextLength('<b>a &amp; b</b>'), 5);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import FilterExpression, { FilterSyntaxError } from '../modules/filterExpression.js';
+
+/**
+ * Evaluate an expression against the words of a text
+ */
+function matches(source, text) {
+  const words = new Set(text.toLowerCase().split(/\s+/));
+  return new FilterExpression(source).evaluate(term => words.has(term) || text.toLowerCase().includes(term));
+}
+
+describe('FilterExpression', () => {
+  it('parses terms, phrases and regexes', () => {
+    const expression = new FilterExpression('React "Full Stack" /go(lang)?/i c++');
+    assert.deepEqual(expression.tree, {
+      type: 'and',
+      operands: [
+        { type: 'term', value: 'react' },
+        { type: 'term', value: 'full stack' },
+        { type: 'term', value: '/go(lang)?/i' },
+        { type: 'term', value: 'c++' }
+      ]
+    });
+  });
+
+  it('binds NOT tighter than AND and AND tighter than OR', () => {
+    const expression = new FilterExpression('a OR b AND NOT c');
+    assert.deepEqual(expression.tree, {
+      type: 'or',
+      operands: [
+        { type: 'term', value: 'a' },
+        { type: 'and', operands: [{ type: 'term', value: 'b' }, { type: 'not', operand: { type: 'term', value: 'c' } }] }
+      ]
+    });
+  });
+
+  it('evaluates groups, implicit AND and exclusions', () => {
+    const source = '(react OR vue) remote -intern';
+    assert.equal(matches(source, 'vue developer remote'), true);
+    assert.equal(matches(source, 'react remote intern'), false);
+    assert.equal(matches(source, 'react onsite'), false);
+    assert.equal(matches(source, 'angular remote'), false);
+  });
+
+  it('accepts operators in any case', () => {
+    assert.equal(matches('react and not sales', 'react developer'), true);
+    assert.equal(matches('react and not sales', 'react sales'), false);
+  });
+
+  it('lists the distinct terms', () => {
+    assert.deepEqual(new FilterExpression('(react OR vue) AND NOT react').getTerms(), ['react', 'vue']);
+  });
+
+  it('rejects invalid expressions', () => {
+    const cases = [
+      ['', /empty/],
+      ['react AND', /Expected a term after "AND"/],
+      ['(react OR vue', /Missing "\)"/],
+      ['react)', /without matching "\("/],
+      ['()', /Empty group/],
+      ['"full stack', /Unterminated quoted phrase/],
+      ['/go(/', /Invalid regex term/],
+      ['OR react', /Unexpected operator/]
+    ];
+
+    for (const [source, message] of cases) {
+      assert.throws(() => new FilterExpression(source), (error) => {
+        assert.ok(error instanceof FilterSyntaxError, source);
+        assert.match(error.message, message);
+        return true;
+      });
+    }
+  });
+
+  it('points at the offending token', () => {
+    try {
+      new FilterExpression('react AND (vue OR)');
+      assert.fail('expected a syntax error');
+    } catch (error) {
+      assert.equal(error.position, 17);
+    }
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import JobParser from '../modules/jobParser.js';
+
+const parser = new JobParser();
+
+describe('JobParser', () => {
+  it('extracts labelled fields', () => {
+    const job = parser.parse([
+      '🔥 We are hiring!',
+      '📌 Position: Senior Backend Engineer',
+      '🏢 Company: Acme Corp',
+      '📍 Location: Addis Ababa (Hybrid)',
+      '💼 Job Type: Full-time',
+      '💰 Salary: $2,000 - $3,500 per month',
+      '⏰ Deadline: 2024-05-31',
+      '📩 Contact: @acme_hr',
+      'Send CV to jobs@acme.com',
+      'Apply: https://acme.com/jobs/42'
+    ].join('\n'), { sourceChannel: 'remote_jobs' });
+
+    assert.deepEqual(job, {
+      title: 'Senior Backend Engineer',
+      company: 'Acme Corp',
+      location: 'Addis Ababa (Hybrid)',
+      workMode: 'hybrid',
+      employmentType: 'full-time',
+      seniority: 'senior',
+      salary: { min: 2000, max: 3500, currency: 'USD', period: 'month', text: '$2,000 - $3,500 per month' },
+      deadline: { text: '2024-05-31', date: '2024-05-31' },
+      contact: '@acme_hr',
+      email: 'jobs@acme.com',
+      applyUrl: 'https://acme.com/jobs/42'
+    });
+  });
+
+  it('guesses fields of unlabelled posts', () => {
+    const job = parser.parse([
+      'Junior Flutter Developer at Sunrise Labs',
+      'Remote, contract for 6 months',
+      'Budget 15k - 20k ETB monthly',
+      'Questions: ask @remote_jobs or @sunrise_talent',
+      'Details https://t.me/remote_jobs/10 and https://sunrise.dev/careers'
+    ].join('\n'), { sourceChannel: 'remote_jobs' });
+
+    assert.equal(job.title, 'Junior Flutter Developer');
+    assert.equal(job.company, 'Sunrise Labs');
+    assert.equal(job.workMode, 'remote');
+    assert.equal(job.employmentType, 'contract');
+    assert.equal(job.seniority, 'junior');
+    assert.deepEqual(job.salary, { min: 15000, max: 20000, currency: 'ETB', period: 'month', text: 'Budget 15k - 20k ETB monthly' });
+    assert.equal(job.contact, '@sunrise_talent');
+    assert.equal(job.applyUrl, 'https://sunrise.dev/careers');
+  });
+
+  it('keeps salaries without amounts as text', () => {
+    const job = parser.parse('Title: QA Engineer\nSalary: Negotiable');
+    assert.deepEqual(job.salary, { min: null, max: null, currency: null, period: null, text: 'Negotiable' });
+  });
+
+  it('keeps deadlines it can\'t read as text', () => {
+    assert.deepEqual(parser.parse('Title: QA\nDeadline: end of the month').deadline, { text: 'end of the month', date: null });
+  });
+
+  it('returns empty fields for an empty post', () => {
+    const job = parser.parse('');
+    assert.ok(Object.values(job).every(value => value === null));
+  });
+
+  it('finds apply links hidden behind text links', () => {
+    const text = 'Title: Designer\nApply here';
+    const message = {
+      message: text,
+      entities: [{ className: 'MessageEntityTextUrl', offset: 16, length: 10, url: 'https://forms.example.com/apply' }]
+    };
+
+    const job = parser.parseMessage(message, 'design_jobs');
+    assert.equal(job.applyUrl, 'https://forms.example.com/apply');
+    assert.equal(message.job, job);
+    assert.equal(message.sourceChannel, 'design_jobs');
+  });
+});
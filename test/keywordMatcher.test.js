@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  compileKeyword,
+  compileWeightedKeyword,
+  normalizeKeyword,
+  parseKeywordWeight
+} from '../modules/keywordMatcher.js';
+import JobFilter from '../modules/jobFilter.js';
+
+describe('compileKeyword', () => {
+  it('matches whole words only', () => {
+    const { test } = compileKeyword('java');
+    assert.equal(test('Senior Java developer'), true);
+    assert.equal(test('JavaScript developer'), false);
+  });
+
+  it('matches symbols without word boundaries', () => {
+    assert.equal(compileKeyword('c++').test('Looking for a C++ engineer'), true);
+    assert.equal(compileKeyword('.net').test('ASP.NET Core'), true);
+    assert.equal(compileKeyword('c#').test('c# / unity'), true);
+  });
+
+  it('matches phrases with any separator', () => {
+    const { test } = compileKeyword('full stack');
+    for (const text of ['full stack', 'Full-Stack', 'full_stack', 'fullstack']) {
+      assert.equal(test(text), true, text);
+    }
+    assert.equal(test('full of stacks'), false);
+  });
+
+  it('expands wildcard stems', () => {
+    const { test } = compileKeyword('develop*');
+    assert.equal(test('development team'), true);
+    assert.equal(test('we develop apps'), true);
+    assert.equal(test('redevelopment'), false);
+  });
+
+  it('compiles regex keywords case-insensitively and without state', () => {
+    const { keyword, regex, test } = compileKeyword('/go(lang)? dev/g');
+    assert.equal(keyword, '/go(lang)? dev/g');
+    assert.equal(regex.flags, 'i');
+    assert.equal(test('GoLang dev'), true);
+    assert.equal(test('golang dev'), true);
+  });
+
+  it('matches inflected and affixed words in other scripts', () => {
+    assert.equal(compileKeyword('разработчик').test('Ищем разработчика'), true);
+    assert.equal(compileKeyword('разработчик').test('Ищем сверхразработчика'), false);
+    assert.equal(compileKeyword('مطور').test('مطورين'), true);
+  });
+
+  it('rejects invalid regex keywords', () => {
+    assert.throws(() => compileKeyword('/go(/'), /Invalid keyword regex/);
+  });
+});
+
+describe('keyword weights', () => {
+  it('splits the weight suffix off', () => {
+    assert.deepEqual(parseKeywordWeight('react:3'), { keyword: 'react', weight: 3 });
+    assert.deepEqual(parseKeywordWeight(' sales : -5 '), { keyword: 'sales', weight: -5 });
+    assert.deepEqual(parseKeywordWeight('node:0.5'), { keyword: 'node', weight: 0.5 });
+    assert.deepEqual(parseKeywordWeight('react'), { keyword: 'react', weight: 1 });
+    assert.deepEqual(parseKeywordWeight('/a:b/'), { keyword: '/a:b/', weight: 1 });
+  });
+
+  it('keeps non-default weights when normalizing', () => {
+    assert.equal(normalizeKeyword('React:3'), 'react:3');
+    assert.equal(normalizeKeyword('React:1'), 'react');
+    assert.equal(normalizeKeyword('/React/:2'), '/React/:2');
+  });
+
+  it('compiles weighted keywords', () => {
+    const matcher = compileWeightedKeyword('Full Stack:2');
+    assert.equal(matcher.keyword, 'full stack');
+    assert.equal(matcher.weight, 2);
+    assert.equal(matcher.test('fullstack'), true);
+  });
+
+  it('sums the weights of the found keywords against the threshold', () => {
+    const filter = new JobFilter(['react:3', 'remote', 'sales:-5'], { threshold: 3 });
+
+    const match = filter.evaluate({ message: 'React developer, remote, react native' });
+    assert.equal(match.isMatch, true);
+    assert.equal(match.score, 4);
+    assert.deepEqual(match.matchedKeywords, [{ keyword: 'react', weight: 3 }, { keyword: 'remote', weight: 1 }]);
+
+    const low = filter.evaluate({ message: 'Remote position' });
+    assert.equal(low.isMatch, false);
+    assert.match(low.reason, /below threshold 3/);
+
+    assert.equal(filter.evaluate({ message: 'React sales manager' }).score, -2);
+  });
+});
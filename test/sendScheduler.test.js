@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import SendScheduler from '../modules/sendScheduler.js';
+
+// Timers may fire a little early or late, gaps are checked with this much leeway
+const TOLERANCE_MS = 15;
+
+/**
+ * Error like the ones Telegraf throws for 429 Too Many Requests
+ */
+function tooManyRequests(retryAfter) {
+  const error = new Error('429: Too Many Requests');
+  error.response = { error_code: 429, parameters: { retry_after: retryAfter } };
+  return error;
+}
+
+/**
+ * A send that records when it ran
+ */
+function recorder(log, name, result = name) {
+  return async () => {
+    log.push({ name, at: Date.now() });
+    return result;
+  };
+}
+
+function assertGap(log, from, to, minMs) {
+  const gap = log[to].at - log[from].at;
+  assert.ok(gap >= minMs - TOLERANCE_MS, `expected ${log[to].name} at least ${minMs}ms after ${log[from].name}, got ${gap}ms`);
+}
+
+describe('SendScheduler', () => {
+  it('paces sends to one chat in order', async () => {
+    const scheduler = new SendScheduler({ perChatPerMinute: 600, globalPerSecond: 1000 });
+    const log = [];
+
+    const results = await Promise.all(['a', 'b', 'c'].map(name => scheduler.schedule('chat', recorder(log, name))));
+
+    assert.deepEqual(results, ['a', 'b', 'c']);
+    assert.deepEqual(log.map(entry => entry.name), ['a', 'b', 'c']);
+    assertGap(log, 0, 1, 100);
+    assertGap(log, 1, 2, 100);
+  });
+
+  it('shares the global rate between chats', async () => {
+    const scheduler = new SendScheduler({ perChatPerMinute: 60000, globalPerSecond: 10 });
+    const log = [];
+
+    await Promise.all(['a', 'b', 'c'].map(chat => scheduler.schedule(chat, recorder(log, chat))));
+
+    assertGap(log, 0, 1, 100);
+    assertGap(log, 1, 2, 100);
+  });
+
+  it('counts the messages of a media group towards the rate', async () => {
+    const scheduler = new SendScheduler({ perChatPerMinute: 60000, globalPerSecond: 20 });
+    const log = [];
+
+    await Promise.all([
+      scheduler.schedule('a', recorder(log, 'album'), 4),
+      scheduler.schedule('b', recorder(log, 'text'))
+    ]);
+
+    assertGap(log, 0, 1, 200);
+  });
+
+  it('retries after retry_after and holds back the other chats', async () => {
+    const scheduler = new SendScheduler({ perChatPerMinute: 60000, globalPerSecond: 1000 });
+    const log = [];
+    let attempts = 0;
+    let rateLimited;
+    const rateLimitedOnce = new Promise(resolve => { rateLimited = resolve; });
+
+    const limited = scheduler.schedule('a', async () => {
+      attempts++;
+      log.push({ name: `a${attempts}`, at: Date.now() });
+      if (attempts === 1) {
+        setImmediate(rateLimited);
+        throw tooManyRequests(0.3);
+      }
+      return 'sent';
+    });
+
+    await rateLimitedOnce;
+    const other = scheduler.schedule('b', recorder(log, 'b'));
+
+    assert.equal(await limited, 'sent');
+    await other;
+    assert.equal(attempts, 2);
+    assertGap(log, 0, log.findIndex(entry => entry.name === 'a2'), 300);
+    assertGap(log, 0, log.findIndex(entry => entry.name === 'b'), 300);
+  });
+
+  it('gives up after the configured retries', async () => {
+    const scheduler = new SendScheduler({ perChatPerMinute: 60000, globalPerSecond: 1000, maxRetries: 2 });
+    let attempts = 0;
+
+    await assert.rejects(
+      scheduler.schedule('a', async () => {
+        attempts++;
+        throw tooManyRequests(0.05);
+      }),
+      /429/
+    );
+    assert.equal(attempts, 3);
+  });
+
+  it('rejects other errors at once and keeps sending the queue', async () => {
+    const scheduler = new SendScheduler({ perChatPerMinute: 60000, globalPerSecond: 1000 });
+    let attempts = 0;
+
+    const failed = scheduler.schedule('a', async () => {
+      attempts++;
+      throw new Error('400: Bad Request: chat not found');
+    });
+    const next = scheduler.schedule('a', async () => 'next');
+
+    await assert.rejects(failed, /chat not found/);
+    assert.equal(await next, 'next');
+    assert.equal(attempts, 1);
+    assert.equal(scheduler.getQueueDepth(), 0);
+  });
+});
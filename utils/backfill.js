@@ -0,0 +1,375 @@
+/**
+ * Utility script to backfill a channel's history and export the job posts in it
+ * Run: npm run backfill -- --channel <channel> [options]  (see --help)
+ *
+ * Scans the history newest first through the user account, runs every post through the
+ * configured keywords, threshold and filter expression, and writes the matches with their
+ * extracted fields to JSON Lines or CSV. Progress is saved next to the output file, so an
+ * interrupted scan can continue with --resume
+ */
+
+import { parseArgs } from 'util';
+import { existsSync, readFileSync, writeFileSync, renameSync, statSync, truncateSync } from 'fs';
+import { extname, join } from 'path';
+import config from '../config.js';
+import TelegramChannelClient from '../modules/telegramClient.js';
+import JobParser from '../modules/jobParser.js';
+import JobFilter from '../modules/jobFilter.js';
+import JobExporter, { EXPORT_FORMATS, FORMAT_JSONL } from '../modules/jobExporter.js';
+import { groupAlbums } from '../modules/media.js';
+import logger from './logger.js';
+
+const USAGE = `Usage: npm run backfill -- --channel <channel> [options]
+
+Range (newest to oldest, all of the history by default):
+  --from <date>        Oldest post date to include, e.g. 2024-01-01
+  --to <date>          Newest post date to include; a date without a time includes the whole day
+  --from-id <id>       Oldest message ID to include
+  --to-id <id>         Newest message ID to include
+
+Output:
+  --output <file>      Export file (default: exports/<channel>.<format>)
+  --format <format>    jsonl or csv (default: from the file extension, else jsonl)
+  --dry-run            Print the matches instead of writing them
+
+Scanning:
+  --resume             Continue the interrupted scan of --output where it stopped
+  --rate <n>           Messages fetched per second at most (default: 50)
+  --limit <n>          Stop after the page that reaches n messages, continue later with --resume
+  --keywords <list>    Comma-separated keywords instead of JOB_KEYWORDS
+  --help               Show this help`;
+
+const PAGE_SIZE = 100;
+const DEFAULT_RATE = 50;
+
+/**
+ * Print an error and exit
+ */
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+/**
+ * Parse a positive integer option
+ */
+function parsePositiveInt(value, name) {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    fail(`--${name} must be a positive whole number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Parse a date option to unix seconds
+ * endOfDay: a date without a time means the end of that day, so the whole day is included
+ */
+function parseDateOption(value, name, endOfDay = false) {
+  if (value === undefined) return undefined;
+
+  const timestamp = Date.parse(value);
+  if (Number.isNaN(timestamp)) {
+    fail(`--${name} must be a date like 2024-01-31 or 2024-01-31T18:00, got "${value}"`);
+  }
+
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value.trim());
+  return Math.floor(timestamp / 1000) + (endOfDay && dateOnly ? 24 * 60 * 60 - 1 : 0);
+}
+
+/**
+ * Read the saved progress of a scan
+ */
+function loadState(statePath) {
+  if (!existsSync(statePath)) {
+    fail(`Nothing to resume: ${statePath} not found`);
+  }
+
+  try {
+    return JSON.parse(readFileSync(statePath, 'utf-8'));
+  } catch (error) {
+    fail(`Could not read ${statePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Save the progress of a scan
+ * Writes to a temporary file first, so an interrupted write can't lose the progress
+ */
+function saveState(statePath, state) {
+  const tempPath = `${statePath}.tmp`;
+  writeFileSync(tempPath, JSON.stringify({ ...state, lastUpdated: new Date().toISOString() }, null, 2), 'utf-8');
+  renameSync(tempPath, statePath);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get the matching rules of a scan, saved with its progress
+ * The learned classifier is left out: it changes while the scraper runs
+ */
+function getFilterSettings(keywordList) {
+  return {
+    keywords: keywordList ? keywordList.split(',').map(k => k.trim()).filter(Boolean) : config.keywords,
+    threshold: config.matchThreshold,
+    expression: config.filterExpression,
+    languageKeywords: config.languageKeywords,
+    detectLanguage: config.detectLanguage
+  };
+}
+
+/**
+ * Drop rows written after the last saved progress, their page is scanned again
+ * Rows are written before the progress is saved, so a scan stopped in between leaves them behind
+ */
+function restoreOutput(output, state) {
+  const size = existsSync(output) ? statSync(output).size : 0;
+  if (size < state.outputSize) {
+    fail(`${output} is shorter than the saved progress, it was changed since the scan stopped`);
+  }
+  if (size > state.outputSize) {
+    truncateSync(output, state.outputSize);
+  }
+}
+
+/**
+ * Get the scan settings from the options, or from the saved progress with --resume
+ */
+function getScan(values) {
+  const channel = values.channel?.trim().replace(/^@/, '');
+
+  if (values.resume) {
+    if (values['dry-run']) {
+      fail('--resume and --dry-run can\'t be combined, a dry run saves no progress');
+    }
+    if (!values.output) {
+      fail('--resume needs the --output of the scan to continue');
+    }
+
+    const statePath = `${values.output}.state.json`;
+    const state = loadState(statePath);
+    if (channel && channel !== state.channel) {
+      fail(`${statePath} belongs to a scan of ${state.channel}, not ${channel}`);
+    }
+    if (state.done) {
+      console.log(`✅ The scan of ${state.channel} is already complete (${state.matched} matches in ${values.output})`);
+      process.exit(0);
+    }
+
+    // The keywords of --keywords are kept, the rest of the matching rules must not have changed
+    const filter = getFilterSettings(values.keywords ?? state.keywordList);
+    const changed = Object.keys(filter).filter(key => JSON.stringify(filter[key]) !== JSON.stringify(state.filter[key]));
+    if (changed.length > 0) {
+      fail(
+        `The ${changed.join(', ')} changed since the scan of ${values.output} started; ` +
+        'restore the previous settings or start a new scan, the matches would be mixed otherwise'
+      );
+    }
+
+    restoreOutput(values.output, state);
+    return { output: values.output, statePath, state, filter };
+  }
+
+  if (!channel) {
+    fail('--channel is required (see --help)');
+  }
+
+  const format = values.format || (values.output ? extname(values.output).slice(1).toLowerCase() : '') || FORMAT_JSONL;
+  if (!EXPORT_FORMATS.includes(format)) {
+    fail(`--format must be one of ${EXPORT_FORMATS.join(', ')}, got "${format}"`);
+  }
+
+  const range = {
+    fromDate: parseDateOption(values.from, 'from'),
+    toDate: parseDateOption(values.to, 'to', true),
+    fromId: parsePositiveInt(values['from-id'], 'from-id'),
+    toId: parsePositiveInt(values['to-id'], 'to-id')
+  };
+  if (range.fromDate && range.toDate && range.fromDate > range.toDate) {
+    fail('--from must be before --to');
+  }
+  if (range.fromId && range.toId && range.fromId > range.toId) {
+    fail('--from-id must not be greater than --to-id');
+  }
+
+  const output = values.output || join('exports', `${channel}.${format}`);
+  const keywordList = values.keywords ?? null;
+  const filter = getFilterSettings(keywordList);
+  return {
+    output,
+    statePath: `${output}.state.json`,
+    state: { channel, range, format, keywordList, filter, offsetId: 0, scanned: 0, matched: 0, outputSize: 0, done: false },
+    filter
+  };
+}
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        channel: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        'from-id': { type: 'string' },
+        'to-id': { type: 'string' },
+        output: { type: 'string' },
+        format: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        resume: { type: 'boolean', default: false },
+        rate: { type: 'string' },
+        limit: { type: 'string' },
+        keywords: { type: 'string' },
+        help: { type: 'boolean', default: false }
+      }
+    }));
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const dryRun = values['dry-run'];
+  const rate = parsePositiveInt(values.rate, 'rate') || DEFAULT_RATE;
+  const limit = parsePositiveInt(values.limit, 'limit');
+  const { output, statePath, state, filter } = getScan(values);
+  const { channel, range } = state;
+
+  const jobParser = new JobParser();
+  const { keywords, ...filterOptions } = filter;
+  const jobFilter = new JobFilter(keywords, filterOptions);
+  const exporter = dryRun ? null : new JobExporter(output, { format: state.format, append: values.resume });
+
+  /**
+   * Save the progress with the size of the output it belongs to
+   */
+  const saveProgress = () => {
+    if (dryRun) return;
+    state.outputSize = statSync(output).size;
+    saveState(statePath, state);
+  };
+
+  const client = new TelegramChannelClient(config.apiId, config.apiHash, config.sessionString);
+  await client.connect();
+
+  console.log(
+    `🔎 ${values.resume ? 'Resuming' : 'Scanning'} ${channel}` +
+    (state.offsetId ? ` below message ${state.offsetId}` : '') +
+    (dryRun ? ' (dry run)' : ` into ${output}`)
+  );
+
+  let scannedThisRun = 0;
+  let carried = []; // album items at the end of a page, their album may continue on the next page
+  let complete = true;
+
+  /**
+   * Filter a batch of messages (newest first) and write or print the matches
+   */
+  const scanBatch = (messages) => {
+    const matches = [];
+    for (const message of groupAlbums([...messages].reverse())) {
+      jobParser.parseMessage(message, channel);
+      const result = jobFilter.evaluate(message);
+      if (result.isMatch) {
+        matches.push({ message, channel, match: result });
+      }
+    }
+
+    if (dryRun) {
+      for (const { message, match } of matches) {
+        const date = new Date(message.date * 1000).toISOString().slice(0, 10);
+        console.log(`  ✅ ${message.id} (${date}) ${message.job?.title || '(no title)'}: ${match.reason}`);
+      }
+    } else {
+      exporter.write(matches);
+    }
+
+    state.scanned += messages.length;
+    state.matched += matches.length;
+    scannedThisRun += messages.length;
+    if (messages.length > 0) {
+      state.offsetId = Math.min(...messages.map(m => m.id));
+    }
+  };
+
+  try {
+    // minId and maxId are exclusive
+    const pages = client.iterateHistory(channel, {
+      offsetId: state.offsetId,
+      offsetDate: range.toDate ? range.toDate + 1 : undefined,
+      minId: range.fromId ? range.fromId - 1 : 0,
+      maxId: range.toId ? range.toId + 1 : 0,
+      pageSize: PAGE_SIZE
+    });
+
+    for await (const page of pages) {
+      const startedAt = Date.now();
+      let messages = [...carried, ...page.filter(m => m.className === 'Message')];
+      carried = [];
+
+      // Stop at the start of the date range, the history is newest first
+      const beforeRange = range.fromDate ? messages.findIndex(m => m.date < range.fromDate) : -1;
+      const rangeEnded = beforeRange !== -1;
+      if (rangeEnded) {
+        messages = messages.slice(0, beforeRange);
+      } else {
+        const lastGroupedId = messages[messages.length - 1]?.groupedId?.toString();
+        if (lastGroupedId) {
+          carried = messages.filter(m => m.groupedId?.toString() === lastGroupedId);
+          messages = messages.filter(m => m.groupedId?.toString() !== lastGroupedId);
+        }
+      }
+
+      scanBatch(messages);
+      saveProgress();
+
+      const oldest = messages[messages.length - 1];
+      const at = oldest ? ` (at ${new Date(oldest.date * 1000).toISOString().slice(0, 10)})` : '';
+      console.log(`📄 ${state.scanned} messages scanned, ${state.matched} matches${at}`);
+
+      if (rangeEnded) {
+        break;
+      }
+      if (limit && scannedThisRun >= limit) {
+        complete = false;
+        break;
+      }
+
+      // Stay below --rate messages per second
+      const wait = (page.length / rate) * 1000 - (Date.now() - startedAt);
+      if (wait > 0) {
+        await sleep(wait);
+      }
+    }
+
+    // The oldest album of the history is complete once there are no more pages
+    if (complete && carried.length > 0) {
+      scanBatch(carried);
+    }
+
+    state.done = complete;
+    saveProgress();
+  } finally {
+    await client.disconnect();
+  }
+
+  if (state.done) {
+    console.log(`\n✅ Done: ${state.scanned} messages scanned, ${state.matched} matches` + (dryRun ? '' : ` written to ${output}`));
+  } else {
+    console.log(`\n⏸️ Stopped after --limit ${limit}: ${state.scanned} messages scanned so far`);
+    if (!dryRun) {
+      console.log(`   Continue with: npm run backfill -- --resume --output ${output}`);
+    }
+  }
+}
+
+main().then(() => process.exit(0)).catch((error) => {
+  logger.error('Backfill failed:', error);
+  console.error(`❌ Backfill failed: ${error.message}`);
+  process.exit(1);
+});
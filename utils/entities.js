@@ -0,0 +1,129 @@
+/**
+ * Entities utility module
+ * Converts MTProto message entities (formatting and links) to Bot API HTML
+ *
+ * Entity offsets and lengths count UTF-16 code units, like JavaScript string indices,
+ * so entity ranges can be sliced from the message text directly
+ */
+
+import { escapeHtml } from './html.js';
+
+// Link schemes the Bot API accepts in <a href>, other links are left as plain text
+const SAFE_URL_REGEX = /^(https?:\/\/|tg:\/\/|mailto:)/i;
+
+// Entities whose content can't contain other formatting in Bot API HTML
+const VERBATIM_ENTITIES = new Set(['MessageEntityCode', 'MessageEntityPre']);
+
+/**
+ * Get the opening and closing HTML tags of an entity, or null for entities Telegram detects
+ * on its own (plain URLs, mentions, hashtags, ...) and unsupported ones
+ */
+function getTags(entity) {
+  switch (entity.className) {
+    case 'MessageEntityBold':
+      return ['<b>', '</b>'];
+    case 'MessageEntityItalic':
+      return ['<i>', '</i>'];
+    case 'MessageEntityUnderline':
+      return ['<u>', '</u>'];
+    case 'MessageEntityStrike':
+      return ['<s>', '</s>'];
+    case 'MessageEntitySpoiler':
+      return ['<tg-spoiler>', '</tg-spoiler>'];
+    case 'MessageEntityCode':
+      return ['<code>', '</code>'];
+    case 'MessageEntityPre':
+      return entity.language
+        ? [`<pre><code class="language-${escapeHtml(entity.language)}">`, '</code></pre>']
+        : ['<pre>', '</pre>'];
+    case 'MessageEntityBlockquote':
+      return [entity.collapsed ? '<blockquote expandable>' : '<blockquote>', '</blockquote>'];
+    case 'MessageEntityTextUrl':
+      return SAFE_URL_REGEX.test(entity.url || '') ? [`<a href="${escapeHtml(entity.url)}">`, '</a>'] : null;
+    case 'MessageEntityMentionName':
+      return [`<a href="tg://user?id=${escapeHtml(entity.userId)}">`, '</a>'];
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert message text and its MTProto entities to Bot API HTML
+ * Overlapping entities are closed and reopened where they cross, so the result is always well-formed
+ */
+export function entitiesToHtml(text, entities = []) {
+  if (!text) return '';
+
+  const spans = (entities || [])
+    .map((entity, index) => ({
+      entity,
+      index,
+      tags: getTags(entity),
+      start: Math.max(0, entity.offset),
+      end: Math.min(text.length, entity.offset + entity.length)
+    }))
+    .filter(span => span.tags && span.end > span.start)
+    // Outer entities first: earlier start, then longer
+    .sort((a, b) => a.start - b.start || b.end - a.end || a.index - b.index);
+
+  if (spans.length === 0) {
+    return escapeHtml(text);
+  }
+
+  const boundaries = [...new Set([0, text.length, ...spans.flatMap(span => [span.start, span.end])])]
+    .sort((a, b) => a - b);
+
+  let html = '';
+  let open = [];
+
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const [from, to] = [boundaries[i], boundaries[i + 1]];
+
+    let active = spans.filter(span => span.start <= from && span.end >= to);
+    const verbatim = active.find(span => VERBATIM_ENTITIES.has(span.entity.className));
+    if (verbatim) {
+      active = active.slice(0, active.indexOf(verbatim) + 1);
+    }
+
+    // Keep the tags both segments share, close the rest innermost first and open the new ones
+    let shared = 0;
+    while (shared < open.length && shared < active.length && open[shared] === active[shared]) {
+      shared++;
+    }
+    for (const span of open.slice(shared).reverse()) {
+      html += span.tags[1];
+    }
+    for (const span of active.slice(shared)) {
+      html += span.tags[0];
+    }
+    open = active;
+
+    html += escapeHtml(text.slice(from, to));
+  }
+
+  for (const span of open.reverse()) {
+    html += span.tags[1];
+  }
+  return html;
+}
+
+/**
+ * Insert the URLs hidden behind text links after their text: "Apply here" -> "Apply here (https://...)"
+ * Makes the links visible to keyword filters and field extraction
+ */
+export function inlineHiddenUrls(text, entities = []) {
+  if (!text) return '';
+
+  const links = (entities || [])
+    .filter(entity => entity.className === 'MessageEntityTextUrl' && SAFE_URL_REGEX.test(entity.url || ''))
+    .filter(entity => !text.slice(entity.offset, entity.offset + entity.length).includes(entity.url))
+    .sort((a, b) => b.offset - a.offset);
+
+  // Insert from the end, so earlier offsets stay valid
+  let result = text;
+  for (const entity of links) {
+    const end = Math.min(result.length, entity.offset + entity.length);
+    result = `${result.slice(0, end)} (${entity.url})${result.slice(end)}`;
+  }
+  return result;
+}
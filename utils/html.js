@@ -0,0 +1,37 @@
+/**
+ * HTML utility module
+ * Helpers for building Telegram HTML messages
+ */
+
+/**
+ * Escape HTML special characters
+ */
+export function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+/**
+ * Length of the text Telegram shows for an HTML message (tags removed, entities decoded)
+ * Used to check caption and message length limits, which apply to the visible text
+ */
+export function htmlTextLength(html) {
+  return html
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#0?39);/g, '_')
+    .length;
+}
+
+/**
+ * Plain text of an HTML message: tags removed, entities decoded
+ */
+export function stripHtml(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', '#039': "'", '#39': "'" };
+  return html
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#0?39);/g, (match, name) => entities[name]);
+}
@@ -0,0 +1,53 @@
+/**
+ * Links utility module
+ * Builds t.me links to channel posts and apply links for inline buttons
+ */
+
+/**
+ * Get the link to a post of a source channel
+ * Public channels are linked by username; channels configured by ID (e.g. -1001234567890) are
+ * linked through t.me/c/, which only opens for members. channelId (the message's peer channel ID)
+ * takes precedence over an ID taken from the channel name
+ */
+export function getMessageLink(channel, messageId, channelId = null) {
+  if (!messageId) {
+    return null;
+  }
+
+  const name = channel ? String(channel).replace(/^@/, '') : '';
+  if (name && !/^-?\d+$/.test(name)) {
+    return `https://t.me/${name}/${messageId}`;
+  }
+
+  const id = channelId ? String(channelId) : name.replace(/^-100/, '').replace(/^-/, '');
+  return id ? `https://t.me/c/${id}/${messageId}` : null;
+}
+
+/**
+ * Normalize an http(s) URL, or return null when it isn't one
+ * Inline buttons with an invalid URL make the Bot API reject the whole message
+ */
+export function toHttpUrl(value) {
+  if (!value) return null;
+
+  try {
+    const url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get where to apply for a job: the extracted apply URL, or a chat with the contact handle
+ * @param {Object} job - Extracted job fields (see jobParser.js)
+ */
+export function getApplyLink(job) {
+  const applyUrl = toHttpUrl(job?.applyUrl);
+  if (applyUrl) {
+    return applyUrl;
+  }
+
+  const handle = job?.contact?.replace(/^@/, '');
+  return handle && /^\w{4,32}$/.test(handle) ? `https://t.me/${handle}` : null;
+}
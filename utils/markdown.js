@@ -0,0 +1,23 @@
+/**
+ * MarkdownV2 utility module
+ * Helpers for building Telegram MarkdownV2 messages
+ */
+
+/**
+ * Escape MarkdownV2 special characters
+ * Telegram accepts an escaped character anywhere, including link URLs
+ */
+export function escapeMarkdownV2(str) {
+  return String(str).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+/**
+ * Length of the text Telegram shows for a MarkdownV2 message (markup removed, escapes resolved)
+ * Used to check caption and message length limits, which apply to the visible text
+ */
+export function markdownV2TextLength(markdown) {
+  return markdown
+    .replace(/\[((?:\\.|[^\]\\])*)\]\((?:\\.|[^)\\])*\)/g, '$1') // [text](url) -> text
+    .replace(/\\(.)|[_*~|`]/g, (match, escaped) => (escaped ? 'x' : '')) // markup removed, each escape counts once
+    .length;
+}
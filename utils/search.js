@@ -0,0 +1,99 @@
+/**
+ * Utility script to search the matched jobs in storage
+ * Run: npm run search -- flutter remote since:7d [--limit 20] [--json]
+ *
+ * Uses the same query syntax as the bot's /search command (see modules/jobSearch.js)
+ */
+
+import { parseArgs } from 'util';
+import config from '../config.js';
+import JobSearch, { formatJobDate } from '../modules/jobSearch.js';
+import { getMessageLink } from './links.js';
+import { createStorage } from './storage.js';
+
+const USAGE = `Usage: npm run search -- <query> [options]
+
+Query: words and "quoted phrases" that must all occur, develop* for prefixes, and
+  since:7d | since:2024-05-01   posted on or after
+  until:1d | until:2024-05-07   posted on or before
+  channel:<name>                from one source channel
+  keyword:<keyword>             matched by one of the configured keywords
+
+Options:
+  --limit <n>   Results shown (default: 20)
+  --json        Print the matching job records as JSON Lines
+  --help        Show this help`;
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      limit: { type: 'string', default: '20' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  const query = positionals.join(' ').trim();
+  if (values.help || !query) {
+    console.log(USAGE);
+    return;
+  }
+
+  const limit = Number(values.limit);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new Error(`--limit must be a positive whole number, got "${values.limit}"`);
+  }
+
+  const storage = await createStorage({
+    backend: config.storageBackend,
+    storagePath: config.storagePath,
+    sqlitePath: config.sqlitePath,
+    legacyChannel: config.sourceChannels[0],
+    retentionMs: config.storageRetentionMs
+  });
+
+  try {
+    const result = new JobSearch(storage).search(query);
+    const jobs = result.jobs.slice(0, limit);
+
+    if (values.json) {
+      for (const job of jobs) {
+        console.log(JSON.stringify({ ...job, link: getMessageLink(job.channel, job.messageId) }));
+      }
+      return;
+    }
+
+    const total = `${result.total}${result.truncated ? '+' : ''}`;
+    console.log(`🔎 ${total} job${result.total === 1 ? '' : 's'} for "${query}"\n`);
+    for (const job of jobs) {
+      const fields = job.fields || {};
+      const title = fields.title || (job.text || '').split('\n').map(line => line.trim()).find(Boolean) || 'Job post';
+      const details = [fields.company, fields.location, fields.workMode].filter(Boolean).join(' · ');
+      console.log(`${formatJobDate(job.date)}  ${job.channel}  ${title}${details ? ` · ${details}` : ''}`);
+      console.log(`            ${getMessageLink(job.channel, job.messageId)}`);
+    }
+    if (result.total > jobs.length) {
+      console.log(`\n… and ${result.total - jobs.length} more (--limit ${result.total} to list them)`);
+    }
+
+    const facetLine = (label, counts) => counts.length > 0
+      ? `${label}: ${counts.slice(0, 10).map(([value, count]) => `${value} (${count})`).join(', ')}`
+      : null;
+    const facets = [
+      facetLine('Channels', result.facets.channels),
+      facetLine('Keywords', result.facets.keywords),
+      facetLine('Days', result.facets.days)
+    ].filter(Boolean);
+    if (facets.length > 0) {
+      console.log(`\n${facets.join('\n')}`);
+    }
+  } finally {
+    storage.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,745 @@
+/**
+ * SQLite storage module
+ * Stores processed IDs, channel cursors, fingerprints, matched jobs, settings, subscriptions, the outbox,
+ * copies posted to target chats and pending digest entries in an embedded SQLite database
+ * Implements the same interface as MessageStorage (see storage.js)
+ */
+
+import Database from 'better-sqlite3';
+import { existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import MessageStorage from './storage.js';
+import logger from './logger.js';
+
+/**
+ * Schema migrations, applied in order
+ * The database's user_version holds the number of migrations already applied
+ */
+const MIGRATIONS = [
+  // 1: initial schema
+  `
+    CREATE TABLE processed (
+      channel TEXT NOT NULL,
+      message_id INTEGER NOT NULL,
+      processed_at INTEGER NOT NULL,
+      PRIMARY KEY (channel, message_id)
+    );
+    CREATE INDEX processed_at_idx ON processed (processed_at);
+
+    CREATE TABLE cursors (
+      channel TEXT PRIMARY KEY,
+      message_id INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE fingerprints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      channel TEXT NOT NULL,
+      message_id INTEGER NOT NULL,
+      fingerprint TEXT NOT NULL,
+      date INTEGER NOT NULL
+    );
+    CREATE INDEX fingerprints_date_idx ON fingerprints (date);
+
+    CREATE TABLE jobs (
+      channel TEXT NOT NULL,
+      message_id INTEGER NOT NULL,
+      date INTEGER NOT NULL,
+      text TEXT NOT NULL,
+      fields TEXT,
+      targets TEXT,
+      saved_at INTEGER NOT NULL,
+      PRIMARY KEY (channel, message_id)
+    );
+    CREATE INDEX jobs_date_idx ON jobs (date);
+
+    CREATE TABLE meta (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    );
+  `,
+  // 2: runtime settings changed through bot commands
+  `
+    CREATE TABLE settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+  `,
+  // 3: personal job alert subscriptions
+  `
+    CREATE TABLE subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      query TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    );
+    CREATE INDEX subscriptions_user_idx ON subscriptions (user_id);
+  `,
+  // 4: outbox of failed deliveries and dead letters
+  `
+    CREATE TABLE outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      channel TEXT NOT NULL,
+      message_id INTEGER NOT NULL,
+      message_ids TEXT NOT NULL,
+      target TEXT NOT NULL,
+      rule TEXT,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL,
+      next_attempt_at INTEGER NOT NULL,
+      last_error TEXT,
+      created_at INTEGER NOT NULL
+    );
+    CREATE INDEX outbox_due_idx ON outbox (status, next_attempt_at);
+  `,
+  // 5: copies posted to target chats, for syncing edits and deletions
+  `
+    CREATE TABLE copies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      channel TEXT NOT NULL,
+      message_id INTEGER NOT NULL,
+      chat_id TEXT NOT NULL,
+      message_ids TEXT NOT NULL,
+      text_message_id INTEGER NOT NULL,
+      text_kind TEXT NOT NULL,
+      text TEXT NOT NULL,
+      source_edit_date INTEGER NOT NULL,
+      created_at INTEGER NOT NULL
+    );
+    CREATE INDEX copies_source_idx ON copies (channel, message_id);
+    CREATE INDEX copies_created_idx ON copies (created_at);
+  `,
+  // 6: attachments of copies that couldn't be forwarded, kept in the text of edited copies
+  `
+    ALTER TABLE copies ADD COLUMN skipped_media_count INTEGER NOT NULL DEFAULT 0;
+  `,
+  // 7: target and parse mode of copies, for per-chat message templates
+  `
+    ALTER TABLE copies ADD COLUMN target TEXT;
+    ALTER TABLE copies ADD COLUMN parse_mode TEXT NOT NULL DEFAULT 'HTML';
+  `,
+  // 8: matches waiting for the next digest
+  `
+    CREATE TABLE digest_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      channel TEXT NOT NULL,
+      message_id INTEGER NOT NULL,
+      target TEXT NOT NULL,
+      line TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    );
+  `,
+  // 9: text of jobs as the filter and classifier saw it, for learning feedback
+  `
+    ALTER TABLE jobs ADD COLUMN filter_text TEXT;
+  `,
+  // 10: matched keywords of jobs and a full-text index of their text, kept in sync by triggers
+  `
+    ALTER TABLE jobs ADD COLUMN keywords TEXT;
+
+    CREATE VIRTUAL TABLE jobs_fts USING fts5(text, content = 'jobs', tokenize = 'unicode61 remove_diacritics 2');
+    CREATE TRIGGER jobs_fts_insert AFTER INSERT ON jobs BEGIN
+      INSERT INTO jobs_fts (rowid, text) VALUES (new.rowid, new.text);
+    END;
+    CREATE TRIGGER jobs_fts_delete AFTER DELETE ON jobs BEGIN
+      INSERT INTO jobs_fts (jobs_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+    END;
+    CREATE TRIGGER jobs_fts_update AFTER UPDATE OF text ON jobs BEGIN
+      INSERT INTO jobs_fts (jobs_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+      INSERT INTO jobs_fts (rowid, text) VALUES (new.rowid, new.text);
+    END;
+    INSERT INTO jobs_fts (jobs_fts) VALUES ('rebuild');
+  `
+];
+
+/**
+ * Build an FTS5 query from search terms: every term must occur
+ * Terms are quoted, so FTS5 syntax in them is taken literally; a trailing `*` searches a prefix
+ */
+function toFtsQuery(terms) {
+  return terms
+    .map(term => {
+      const prefix = term.endsWith('*');
+      const text = term.replace(/\*+$/, '').replace(/"/g, '""');
+      return text ? `"${text}"${prefix ? '*' : ''}` : null;
+    })
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * SqliteStorage class for managing processed messages in SQLite
+ */
+class SqliteStorage {
+  /**
+   * @param {string} databasePath - Path to the SQLite database file
+   * @param {Object} options
+   * @param {string} options.jsonImportPath - JSON storage file to import once (see MessageStorage)
+   * @param {string} options.legacyChannel - Channel that bare message IDs in the JSON file belong to
+   * @param {number} options.retentionMs - How long processed IDs and jobs are kept
+   */
+  constructor(databasePath, options = {}) {
+    this.databasePath = databasePath;
+    this.retentionMs = options.retentionMs ?? 90 * 24 * 60 * 60 * 1000;
+
+    const dir = dirname(databasePath);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+
+    this.db = new Database(databasePath);
+    // WAL keeps the database consistent if the process dies mid-write
+    this.db.pragma('journal_mode = WAL');
+
+    this.migrate();
+    this.prepareStatements();
+
+    if (options.jsonImportPath) {
+      this.importJson(options.jsonImportPath, options.legacyChannel);
+    }
+
+    logger.info(`SQLite storage opened at ${databasePath}`);
+  }
+
+  /**
+   * Apply pending schema migrations
+   */
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+
+    for (let i = version; i < MIGRATIONS.length; i++) {
+      this.db.transaction(() => {
+        this.db.exec(MIGRATIONS[i]);
+        this.db.pragma(`user_version = ${i + 1}`);
+      })();
+      logger.info(`Applied storage migration ${i + 1}`);
+    }
+  }
+
+  /**
+   * Prepare frequently used statements once
+   */
+  prepareStatements() {
+    this.statements = {
+      isProcessed: this.db.prepare('SELECT 1 FROM processed WHERE channel = ? AND message_id = ?'),
+      markProcessed: this.db.prepare(
+        'INSERT OR REPLACE INTO processed (channel, message_id, processed_at) VALUES (?, ?, ?)'
+      ),
+      count: this.db.prepare('SELECT COUNT(*) FROM processed').pluck(),
+      getCursor: this.db.prepare('SELECT message_id FROM cursors WHERE channel = ?').pluck(),
+      getCursors: this.db.prepare('SELECT channel, message_id FROM cursors'),
+      setCursor: this.db.prepare(`
+        INSERT INTO cursors (channel, message_id, updated_at) VALUES (@channel, @messageId, @now)
+        ON CONFLICT (channel) DO UPDATE SET message_id = @messageId, updated_at = @now
+        WHERE excluded.message_id > cursors.message_id
+      `),
+      addFingerprint: this.db.prepare(
+        'INSERT INTO fingerprints (channel, message_id, fingerprint, date) VALUES (@channel, @messageId, @fingerprint, @date)'
+      ),
+      getFingerprints: this.db.prepare(
+        'SELECT channel, message_id AS messageId, fingerprint, date FROM fingerprints WHERE date >= ?'
+      ),
+      pruneFingerprints: this.db.prepare('DELETE FROM fingerprints WHERE date < ?'),
+      // An upsert instead of INSERT OR REPLACE: replaced rows don't fire the full-text index triggers
+      saveJob: this.db.prepare(`
+        INSERT INTO jobs (channel, message_id, date, text, filter_text, fields, targets, keywords, saved_at)
+        VALUES (@channel, @messageId, @date, @text, @filterText, @fields, @targets, @keywords, @savedAt)
+        ON CONFLICT (channel, message_id) DO UPDATE SET
+          date = excluded.date, text = excluded.text, filter_text = excluded.filter_text, fields = excluded.fields,
+          targets = excluded.targets, keywords = excluded.keywords, saved_at = excluded.saved_at
+      `),
+      getJob: this.db.prepare('SELECT * FROM jobs WHERE channel = ? AND message_id = ?'),
+      getSetting: this.db.prepare('SELECT value FROM settings WHERE key = ?').pluck(),
+      setSetting: this.db.prepare('INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, ?)'),
+      addSubscription: this.db.prepare(
+        'INSERT INTO subscriptions (user_id, query, created_at) VALUES (?, ?, ?)'
+      ),
+      getSubscriptions: this.db.prepare(`
+        SELECT id, user_id AS userId, query, created_at AS createdAt FROM subscriptions
+        WHERE ? IS NULL OR user_id = ?
+        ORDER BY id
+      `),
+      removeSubscription: this.db.prepare('DELETE FROM subscriptions WHERE user_id = ? AND id = ?'),
+      removeSubscriptions: this.db.prepare('DELETE FROM subscriptions WHERE user_id = ?'),
+      addOutboxEntry: this.db.prepare(`
+        INSERT INTO outbox (channel, message_id, message_ids, target, rule, status, attempts, next_attempt_at, last_error, created_at)
+        VALUES (@channel, @messageId, @messageIds, @target, @rule, @status, @attempts, @nextAttemptAt, @lastError, @createdAt)
+      `),
+      getOutboxEntries: this.db.prepare(`
+        SELECT * FROM outbox
+        WHERE (@status IS NULL OR status = @status) AND (@dueBefore IS NULL OR next_attempt_at <= @dueBefore)
+        ORDER BY id
+      `),
+      updateOutboxEntry: this.db.prepare(`
+        UPDATE outbox SET status = @status, attempts = @attempts, next_attempt_at = @nextAttemptAt, last_error = @lastError
+        WHERE id = @id
+      `),
+      removeOutboxEntry: this.db.prepare('DELETE FROM outbox WHERE id = ?'),
+      addCopy: this.db.prepare(`
+        INSERT INTO copies (
+          channel, message_id, chat_id, target, message_ids, text_message_id, text_kind, text, parse_mode,
+          skipped_media_count, source_edit_date, created_at
+        )
+        VALUES (
+          @channel, @messageId, @chatId, @target, @messageIds, @textMessageId, @textKind, @text, @parseMode,
+          @skippedMediaCount, @sourceEditDate, @createdAt
+        )
+      `),
+      getCopies: this.db.prepare('SELECT * FROM copies WHERE channel = ? AND message_id = ? ORDER BY id'),
+      getCopiesSince: this.db.prepare('SELECT * FROM copies WHERE created_at >= ? ORDER BY id'),
+      updateCopy: this.db.prepare(
+        'UPDATE copies SET text = @text, parse_mode = @parseMode, source_edit_date = @sourceEditDate WHERE id = @id'
+      ),
+      removeCopy: this.db.prepare('DELETE FROM copies WHERE id = ?'),
+      pruneCopies: this.db.prepare('DELETE FROM copies WHERE created_at < ?'),
+      addDigestEntry: this.db.prepare(`
+        INSERT INTO digest_entries (channel, message_id, target, line, created_at)
+        VALUES (@channel, @messageId, @target, @line, @createdAt)
+      `),
+      getDigestEntries: this.db.prepare('SELECT * FROM digest_entries ORDER BY id'),
+      removeDigestEntry: this.db.prepare('DELETE FROM digest_entries WHERE id = ?'),
+      getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?').pluck(),
+      setMeta: this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)')
+    };
+  }
+
+  /**
+   * Import data from the JSON storage file, once
+   */
+  importJson(jsonPath, legacyChannel) {
+    if (this.statements.getMeta.get('json_imported_at') || !existsSync(jsonPath)) {
+      return;
+    }
+
+    logger.info(`Importing JSON storage from ${jsonPath}...`);
+    const legacy = new MessageStorage(jsonPath, { legacyChannel });
+
+    this.db.transaction(() => {
+      for (const [key, processedAt] of legacy.processedIds) {
+        const separator = key.lastIndexOf(':');
+        this.statements.markProcessed.run(key.slice(0, separator), Number(key.slice(separator + 1)), processedAt);
+      }
+      for (const [channel, messageId] of Object.entries(legacy.getCursors())) {
+        this.setCursor(channel, messageId);
+      }
+      for (const entry of legacy.fingerprints) {
+        this.statements.addFingerprint.run(entry);
+      }
+      for (const job of legacy.jobs) {
+        this.saveJob(job);
+      }
+      for (const [key, value] of Object.entries(legacy.settings)) {
+        this.setSetting(key, value);
+      }
+      for (const sub of legacy.subscriptions) {
+        this.statements.addSubscription.run(sub.userId, sub.query, sub.createdAt);
+      }
+      for (const entry of legacy.outbox) {
+        this.addOutboxEntry(entry);
+      }
+      for (const copy of legacy.copies) {
+        this.addCopy(copy);
+      }
+      for (const entry of legacy.digest) {
+        this.addDigestEntry(entry);
+      }
+      this.statements.setMeta.run('json_imported_at', new Date().toISOString());
+    })();
+
+    logger.info(
+      `Imported ${legacy.processedIds.size} processed IDs, ${Object.keys(legacy.cursors).length} cursors, ` +
+      `${legacy.fingerprints.length} fingerprints and ${legacy.jobs.length} jobs from JSON storage`
+    );
+  }
+
+  /**
+   * Check if message ID has been processed for a channel
+   */
+  isProcessed(channel, messageId) {
+    return this.statements.isProcessed.get(channel, messageId) !== undefined;
+  }
+
+  /**
+   * Mark message ID as processed for a channel
+   */
+  markProcessed(channel, messageId) {
+    this.statements.markProcessed.run(channel, messageId, Date.now());
+  }
+
+  /**
+   * Get the last processed message ID of a channel (0 when unknown)
+   */
+  getCursor(channel) {
+    return this.statements.getCursor.get(channel) || 0;
+  }
+
+  /**
+   * Get all saved channel cursors
+   */
+  getCursors() {
+    return Object.fromEntries(
+      this.statements.getCursors.all().map(row => [row.channel, row.message_id])
+    );
+  }
+
+  /**
+   * Save the last processed message ID of a channel
+   * The cursor never moves backwards
+   */
+  setCursor(channel, messageId) {
+    this.statements.setCursor.run({ channel, messageId, now: Date.now() });
+  }
+
+  /**
+   * Store the content fingerprint of a forwarded post
+   */
+  addFingerprint(entry) {
+    this.statements.addFingerprint.run(entry);
+  }
+
+  /**
+   * Get fingerprints of posts forwarded since a timestamp (ms)
+   */
+  getFingerprints(since = 0) {
+    return this.statements.getFingerprints.all(since);
+  }
+
+  /**
+   * Remove fingerprints older than a timestamp (ms)
+   */
+  pruneFingerprints(before) {
+    const { changes } = this.statements.pruneFingerprints.run(before);
+    if (changes > 0) {
+      logger.debug(`Pruned ${changes} expired fingerprints`);
+    }
+  }
+
+  /**
+   * Store a matched job record
+   * Record: { channel, messageId, date, text, filterText, fields, targets, keywords }
+   */
+  saveJob(record) {
+    this.statements.saveJob.run({
+      channel: record.channel,
+      messageId: record.messageId,
+      date: record.date,
+      text: record.text || '',
+      filterText: record.filterText ?? null,
+      fields: record.fields ? JSON.stringify(record.fields) : null,
+      targets: record.targets ? JSON.stringify(record.targets) : null,
+      keywords: record.keywords ? JSON.stringify(record.keywords) : null,
+      savedAt: record.savedAt || Date.now()
+    });
+  }
+
+  /**
+   * Get matched job records, newest first
+   */
+  getJobs({ since = 0, channel = null, limit = -1 } = {}) {
+    const rows = this.db.prepare(`
+      SELECT channel, message_id, date, text, filter_text, fields, targets, keywords, saved_at FROM jobs
+      WHERE date >= ? AND (? IS NULL OR channel = ?)
+      ORDER BY date DESC
+      LIMIT ?
+    `).all(since, channel, channel, Number.isFinite(limit) ? limit : -1);
+
+    return rows.map(row => this.toJob(row));
+  }
+
+  /**
+   * Get the matched job record of a message, or null
+   */
+  getJob(channel, messageId) {
+    const row = this.statements.getJob.get(channel, messageId);
+    return row ? this.toJob(row) : null;
+  }
+
+  /**
+   * Search matched job records through the full-text index, newest first
+   * @param {Object} query - Result of parseSearchQuery() (see jobSearch.js)
+   */
+  searchJobs({ terms = [], since = 0, until = null, channel = null, keyword = null, limit = -1 } = {}) {
+    const match = toFtsQuery(terms);
+    const rows = this.db.prepare(`
+      SELECT jobs.channel, jobs.message_id, jobs.date, jobs.text, jobs.filter_text, jobs.fields, jobs.targets,
+        jobs.keywords, jobs.saved_at
+      FROM jobs
+      WHERE (@match = '' OR jobs.rowid IN (SELECT rowid FROM jobs_fts WHERE jobs_fts MATCH @match))
+        AND jobs.date >= @since AND (@until IS NULL OR jobs.date <= @until)
+        AND (@channel IS NULL OR lower(jobs.channel) = lower(@channel))
+        AND (@keyword IS NULL OR EXISTS (SELECT 1 FROM json_each(jobs.keywords) WHERE lower(value) = lower(@keyword)))
+      ORDER BY jobs.date DESC
+      LIMIT @limit
+    `).all({ match, since, until, channel, keyword, limit: Number.isFinite(limit) ? limit : -1 });
+
+    return rows.map(row => this.toJob(row));
+  }
+
+  /**
+   * Convert a jobs row to a job record
+   */
+  toJob(row) {
+    return {
+      channel: row.channel,
+      messageId: row.message_id,
+      date: row.date,
+      text: row.text,
+      filterText: row.filter_text,
+      fields: row.fields ? JSON.parse(row.fields) : null,
+      targets: row.targets ? JSON.parse(row.targets) : [],
+      keywords: row.keywords ? JSON.parse(row.keywords) : [],
+      savedAt: row.saved_at
+    };
+  }
+
+  /**
+   * Get a stored setting
+   */
+  getSetting(key, defaultValue = null) {
+    const value = this.statements.getSetting.get(key);
+    return value === undefined ? defaultValue : JSON.parse(value);
+  }
+
+  /**
+   * Store a setting (any JSON-serializable value)
+   */
+  setSetting(key, value) {
+    this.statements.setSetting.run(key, JSON.stringify(value), Date.now());
+  }
+
+  /**
+   * Add a personal subscription (a filter expression) for a user
+   * Returns the stored subscription
+   */
+  addSubscription(userId, query) {
+    const createdAt = Date.now();
+    const { lastInsertRowid } = this.statements.addSubscription.run(userId, query, createdAt);
+    return { id: Number(lastInsertRowid), userId, query, createdAt };
+  }
+
+  /**
+   * Get subscriptions of one user, or of everyone when no user is given
+   */
+  getSubscriptions(userId = null) {
+    return this.statements.getSubscriptions.all(userId, userId);
+  }
+
+  /**
+   * Remove one subscription of a user, returns whether it existed
+   */
+  removeSubscription(userId, id) {
+    return this.statements.removeSubscription.run(userId, id).changes > 0;
+  }
+
+  /**
+   * Remove all subscriptions of a user, returns how many were removed
+   */
+  removeSubscriptions(userId) {
+    return this.statements.removeSubscriptions.run(userId).changes;
+  }
+
+  /**
+   * Add a delivery to the outbox, returns the stored entry
+   */
+  addOutboxEntry(entry) {
+    const { lastInsertRowid } = this.statements.addOutboxEntry.run({
+      rule: null,
+      lastError: null,
+      ...entry,
+      messageIds: JSON.stringify(entry.messageIds)
+    });
+    return { ...entry, id: Number(lastInsertRowid) };
+  }
+
+  /**
+   * Get outbox entries, optionally by status and due before a timestamp (ms), oldest first
+   */
+  getOutboxEntries({ status = null, dueBefore = null } = {}) {
+    return this.statements.getOutboxEntries.all({ status, dueBefore }).map(row => ({
+      id: row.id,
+      channel: row.channel,
+      messageId: row.message_id,
+      messageIds: JSON.parse(row.message_ids),
+      target: row.target,
+      rule: row.rule,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastError: row.last_error,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Save the status, attempts, next attempt time and last error of an outbox entry
+   */
+  updateOutboxEntry(entry) {
+    this.statements.updateOutboxEntry.run({
+      id: entry.id,
+      status: entry.status,
+      attempts: entry.attempts,
+      nextAttemptAt: entry.nextAttemptAt,
+      lastError: entry.lastError ?? null
+    });
+  }
+
+  /**
+   * Remove an outbox entry (delivered or discarded)
+   */
+  removeOutboxEntry(id) {
+    this.statements.removeOutboxEntry.run(id);
+  }
+
+  /**
+   * Store a copy of a source message sent to a target chat, returns the stored copy
+   * Copy: { channel, messageId, chatId, target, messageIds, textMessageId, textKind, text, parseMode, sourceEditDate, createdAt }
+   */
+  addCopy(copy) {
+    const { lastInsertRowid } = this.statements.addCopy.run({
+      target: null,
+      parseMode: 'HTML',
+      skippedMediaCount: 0,
+      ...copy,
+      chatId: String(copy.chatId),
+      messageIds: JSON.stringify(copy.messageIds)
+    });
+    return { ...copy, id: Number(lastInsertRowid) };
+  }
+
+  /**
+   * Convert a copies row to a copy
+   */
+  toCopy(row) {
+    return {
+      id: row.id,
+      channel: row.channel,
+      messageId: row.message_id,
+      chatId: row.chat_id,
+      target: row.target,
+      messageIds: JSON.parse(row.message_ids),
+      textMessageId: row.text_message_id,
+      textKind: row.text_kind,
+      text: row.text,
+      parseMode: row.parse_mode,
+      skippedMediaCount: row.skipped_media_count,
+      sourceEditDate: row.source_edit_date,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Get the copies of a source message
+   */
+  getCopies(channel, messageId) {
+    return this.statements.getCopies.all(channel, messageId).map(row => this.toCopy(row));
+  }
+
+  /**
+   * Get copies sent since a timestamp (ms), oldest first
+   */
+  getCopiesSince(since = 0) {
+    return this.statements.getCopiesSince.all(since).map(row => this.toCopy(row));
+  }
+
+  /**
+   * Save the text, parse mode and source edit date of a copy
+   */
+  updateCopy(copy) {
+    this.statements.updateCopy.run({
+      id: copy.id,
+      text: copy.text,
+      parseMode: copy.parseMode || 'HTML',
+      sourceEditDate: copy.sourceEditDate
+    });
+  }
+
+  /**
+   * Remove a copy (deleted, or its source was)
+   */
+  removeCopy(id) {
+    this.statements.removeCopy.run(id);
+  }
+
+  /**
+   * Remove copies sent before a timestamp (ms), they are no longer kept in sync
+   */
+  pruneCopies(before) {
+    const { changes } = this.statements.pruneCopies.run(before);
+    if (changes > 0) {
+      logger.debug(`Pruned ${changes} copies past the sync window`);
+    }
+  }
+
+  /**
+   * Add a match to the next digest, returns the stored entry
+   * Entry: { channel, messageId, target, line, createdAt }
+   */
+  addDigestEntry(entry) {
+    const { lastInsertRowid } = this.statements.addDigestEntry.run({ ...entry, target: String(entry.target) });
+    return { ...entry, id: Number(lastInsertRowid) };
+  }
+
+  /**
+   * Get the entries waiting for a digest, oldest first
+   */
+  getDigestEntries() {
+    return this.statements.getDigestEntries.all().map(row => ({
+      id: row.id,
+      channel: row.channel,
+      messageId: row.message_id,
+      target: row.target,
+      line: row.line,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Remove digest entries that were sent
+   */
+  removeDigestEntries(ids) {
+    this.db.transaction(() => {
+      for (const id of ids) {
+        this.statements.removeDigestEntry.run(id);
+      }
+    })();
+  }
+
+  /**
+   * Get count of processed messages
+   */
+  getCount() {
+    return this.statements.count.get();
+  }
+
+  /**
+   * Get the size of the database in bytes, without the write-ahead log
+   */
+  getSize() {
+    return this.db.pragma('page_count', { simple: true }) * this.db.pragma('page_size', { simple: true });
+  }
+
+  /**
+   * Remove processed IDs and jobs older than the retention period
+   */
+  cleanup() {
+    const cutoff = Date.now() - this.retentionMs;
+    const processed = this.db.prepare('DELETE FROM processed WHERE processed_at < ?').run(cutoff).changes;
+    const jobs = this.db.prepare('DELETE FROM jobs WHERE saved_at < ?').run(cutoff).changes;
+
+    if (processed > 0 || jobs > 0) {
+      logger.info(`Cleaned up storage, removed ${processed} processed message IDs and ${jobs} jobs`);
+    }
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+export default SqliteStorage;
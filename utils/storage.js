@@ -1,24 +1,84 @@
 /**
  * Storage utility module
- * Manages processed message IDs to avoid duplicates
+ * Manages processed message IDs, channel cursors, content fingerprints, matched jobs, settings,
+ * subscriptions, the outbox of failed deliveries, the copies posted to target chats and pending digest entries
+ *
+ * Storage backends share one interface:
+ * - isProcessed(channel, messageId) / markProcessed(channel, messageId) / getCount()
+ * - getSize() - size of the stored data in bytes
+ * - getCursor(channel) / setCursor(channel, messageId)
+ * - addFingerprint(entry) / getFingerprints(since) / pruneFingerprints(before)
+ * - saveJob(record) / getJobs({ since, channel, limit }) / getJob(channel, messageId)
+ * - searchJobs({ terms, since, until, channel, keyword, limit }) - full-text search of matched jobs (see jobSearch.js)
+ * - getSetting(key, defaultValue) / setSetting(key, value) - JSON-serializable runtime settings
+ * - addSubscription(userId, query) / getSubscriptions(userId) / removeSubscription(userId, id) / removeSubscriptions(userId)
+ * - addOutboxEntry(entry) / getOutboxEntries({ status, dueBefore }) / updateOutboxEntry(entry) / removeOutboxEntry(id)
+ * - addCopy(copy) / getCopies(channel, messageId) / getCopiesSince(since) / updateCopy(copy) / removeCopy(id) / pruneCopies(before)
+ * - addDigestEntry(entry) / getDigestEntries() / removeDigestEntries(ids)
+ * - cleanup() - applies the retention period
+ * - close()
+ *
+ * MessageStorage (this file) keeps everything in one JSON file.
+ * SqliteStorage (sqliteStorage.js) is the default backend, see createStorage().
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync, statSync } from 'fs';
 import { dirname } from 'path';
+import { compileKeyword } from '../modules/keywordMatcher.js';
+import { normalizeText } from '../modules/language.js';
 import logger from './logger.js';
 
 /**
- * Storage class for managing processed messages
+ * Compile a search term into a keyword matcher, taken literally like in the full-text index
+ * Only a trailing `*` searches a prefix; other `*` and a leading `/` can't make it a wildcard or /regex/ keyword
+ * Returns null for a term without text
+ */
+function compileSearchTerm(term) {
+  const prefix = term.endsWith('*');
+  const text = term.replace(/\*/g, ' ').replace(/^[\s/]+/, '').trim();
+  return text ? compileKeyword(`${text}${prefix ? '*' : ''}`) : null;
+}
+
+/**
+ * Storage class for managing processed messages in a JSON file
  */
 class MessageStorage {
-  constructor(storagePath) {
+  /**
+   * @param {string} storagePath - Path to the JSON storage file
+   * @param {Object} options
+   * @param {string} options.legacyChannel - Channel that bare message IDs from older storage files belong to
+   * @param {number} options.retentionMs - How long processed IDs and jobs are kept
+   * @param {number} options.maxSize - Max processed IDs kept, regardless of age
+   * @param {number} options.maxJobs - Max matched jobs kept, the newest; the whole file is rewritten on every change
+   */
+  constructor(storagePath, options = {}) {
     this.storagePath = storagePath;
-    this.processedIds = new Set();
+    this.legacyChannel = options.legacyChannel || null;
+    this.retentionMs = options.retentionMs ?? 90 * 24 * 60 * 60 * 1000;
+    this.maxSize = options.maxSize ?? 10000;
+    this.maxJobs = options.maxJobs ?? 1000;
+    this.processedIds = new Map(); // key -> processed timestamp (ms)
+    this.fingerprints = []; // { channel, messageId, fingerprint, date } of forwarded posts
+    this.cursors = {}; // channel -> last processed message ID
+    this.jobs = []; // matched job records
+    this.settings = {}; // runtime settings changed through bot commands
+    this.subscriptions = []; // { id, userId, query, createdAt } personal job alerts
+    this.outbox = []; // deliveries waiting for a retry, or dead letters (see outbox.js)
+    this.copies = []; // posts sent to target chats, kept in sync with their source (see copySync.js)
+    this.digest = []; // matches waiting for the next digest (see digest.js)
     this.load();
   }
 
   /**
-   * Load processed message IDs from file
+   * Build storage key for a message
+   * Message IDs are only unique within a channel, so keys combine both
+   */
+  getKey(channel, messageId) {
+    return `${channel}:${messageId}`;
+  }
+
+  /**
+   * Load stored data from file
    */
   load() {
     try {
@@ -32,44 +92,379 @@ class MessageStorage {
       if (existsSync(this.storagePath)) {
         const data = readFileSync(this.storagePath, 'utf-8');
         const parsed = JSON.parse(data);
-        this.processedIds = new Set(parsed.messageIds || []);
+        this.processedIds = new Map(Object.entries(parsed.processed || {}));
+        for (const key of this.migrateIds(parsed.messageIds || [])) {
+          this.processedIds.set(key, Date.now());
+        }
+        this.fingerprints = parsed.fingerprints || [];
+        this.cursors = parsed.cursors || {};
+        this.jobs = parsed.jobs || [];
+        this.settings = parsed.settings || {};
+        this.subscriptions = parsed.subscriptions || [];
+        this.outbox = parsed.outbox || [];
+        this.copies = parsed.copies || [];
+        this.digest = parsed.digest || [];
         logger.info(`Loaded ${this.processedIds.size} processed message IDs from storage`);
       } else {
         logger.info('No existing storage file found, starting fresh');
       }
     } catch (error) {
       logger.error('Error loading storage:', error);
-      this.processedIds = new Set();
+      this.processedIds = new Map();
+      this.fingerprints = [];
+      this.cursors = {};
+      this.jobs = [];
+      this.settings = {};
+      this.subscriptions = [];
+      this.outbox = [];
+      this.copies = [];
+      this.digest = [];
     }
   }
 
   /**
-   * Save processed message IDs to file
+   * Convert bare message IDs (single-channel storage format) to channel-scoped keys
+   */
+  migrateIds(ids) {
+    const legacyIds = ids.filter(id => typeof id === 'number');
+    if (legacyIds.length === 0) {
+      return ids;
+    }
+
+    if (!this.legacyChannel) {
+      logger.warn(`Dropping ${legacyIds.length} legacy message IDs (no channel to assign them to)`);
+      return ids.filter(id => typeof id !== 'number');
+    }
+
+    logger.info(`Migrating ${legacyIds.length} legacy message IDs to channel ${this.legacyChannel}`);
+    return ids.map(id => (typeof id === 'number' ? this.getKey(this.legacyChannel, id) : id));
+  }
+
+  /**
+   * Save stored data to file
+   * Writes to a temporary file first, so a crash mid-write can't corrupt the storage file
    */
   save() {
     try {
       const data = {
-        messageIds: Array.from(this.processedIds),
+        processed: Object.fromEntries(this.processedIds),
+        fingerprints: this.fingerprints,
+        cursors: this.cursors,
+        jobs: this.jobs,
+        settings: this.settings,
+        subscriptions: this.subscriptions,
+        outbox: this.outbox,
+        copies: this.copies,
+        digest: this.digest,
         lastUpdated: new Date().toISOString()
       };
-      writeFileSync(this.storagePath, JSON.stringify(data, null, 2), 'utf-8');
+      const tempPath = `${this.storagePath}.tmp`;
+      writeFileSync(tempPath, JSON.stringify(data), 'utf-8');
+      renameSync(tempPath, this.storagePath);
     } catch (error) {
       logger.error('Error saving storage:', error);
     }
   }
 
   /**
-   * Check if message ID has been processed
+   * Check if message ID has been processed for a channel
+   */
+  isProcessed(channel, messageId) {
+    return this.processedIds.has(this.getKey(channel, messageId));
+  }
+
+  /**
+   * Mark message ID as processed for a channel
+   */
+  markProcessed(channel, messageId) {
+    this.processedIds.set(this.getKey(channel, messageId), Date.now());
+    this.save();
+  }
+
+  /**
+   * Get the last processed message ID of a channel (0 when unknown)
+   */
+  getCursor(channel) {
+    return this.cursors[channel] || 0;
+  }
+
+  /**
+   * Get all saved channel cursors
+   */
+  getCursors() {
+    return { ...this.cursors };
+  }
+
+  /**
+   * Save the last processed message ID of a channel
+   * The cursor never moves backwards
+   */
+  setCursor(channel, messageId) {
+    if (messageId > this.getCursor(channel)) {
+      this.cursors[channel] = messageId;
+      this.save();
+    }
+  }
+
+  /**
+   * Store the content fingerprint of a forwarded post
+   */
+  addFingerprint(entry) {
+    this.fingerprints.push(entry);
+    this.save();
+  }
+
+  /**
+   * Get fingerprints of posts forwarded since a timestamp (ms)
+   */
+  getFingerprints(since = 0) {
+    return this.fingerprints.filter(entry => entry.date >= since);
+  }
+
+  /**
+   * Remove fingerprints older than a timestamp (ms)
+   */
+  pruneFingerprints(before) {
+    const count = this.fingerprints.length;
+    this.fingerprints = this.fingerprints.filter(entry => entry.date >= before);
+    if (this.fingerprints.length !== count) {
+      this.save();
+      logger.debug(`Pruned ${count - this.fingerprints.length} expired fingerprints`);
+    }
+  }
+
+  /**
+   * Store a matched job record
+   * Record: { channel, messageId, date, text, filterText, fields, targets, keywords }
+   * filterText is the text the filter and classifier saw (see JobFilter.extractText)
+   */
+  saveJob(record) {
+    this.jobs = this.jobs.filter(job => !(job.channel === record.channel && job.messageId === record.messageId));
+    this.jobs.push({ ...record, savedAt: Date.now() });
+    if (this.jobs.length > this.maxJobs) {
+      this.jobs = this.jobs.slice(-this.maxJobs);
+    }
+    this.save();
+  }
+
+  /**
+   * Get matched job records, newest first
+   */
+  getJobs({ since = 0, channel = null, limit = Infinity } = {}) {
+    return this.jobs
+      .filter(job => job.date >= since && (!channel || job.channel === channel))
+      .sort((a, b) => b.date - a.date)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get the matched job record of a message, or null
+   */
+  getJob(channel, messageId) {
+    return this.jobs.find(job => job.channel === channel && job.messageId === messageId) || null;
+  }
+
+  /**
+   * Search matched job records, newest first
+   * Without an index, every term is matched against every job like a plain keyword (see compileSearchTerm)
+   * @param {Object} query - Result of parseSearchQuery() (see jobSearch.js)
+   */
+  searchJobs({ terms = [], since = 0, until = null, channel = null, keyword = null, limit = Infinity } = {}) {
+    const matchers = terms.map(compileSearchTerm).filter(Boolean);
+    const channelName = channel?.toLowerCase();
+    const keywordName = keyword?.toLowerCase();
+
+    return this.jobs
+      .filter(job =>
+        job.date >= since && (until === null || job.date <= until) &&
+        (!channelName || job.channel.toLowerCase() === channelName) &&
+        (!keywordName || (job.keywords || []).some(k => k.toLowerCase() === keywordName)) &&
+        matchers.every(matcher => matcher.test(normalizeText(job.text || '')))
+      )
+      .sort((a, b) => b.date - a.date)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get a stored setting
+   */
+  getSetting(key, defaultValue = null) {
+    return key in this.settings ? this.settings[key] : defaultValue;
+  }
+
+  /**
+   * Store a setting (any JSON-serializable value)
+   */
+  setSetting(key, value) {
+    this.settings[key] = value;
+    this.save();
+  }
+
+  /**
+   * Add a personal subscription (a filter expression) for a user
+   * Returns the stored subscription
+   */
+  addSubscription(userId, query) {
+    const id = this.subscriptions.reduce((max, sub) => Math.max(max, sub.id), 0) + 1;
+    const subscription = { id, userId, query, createdAt: Date.now() };
+    this.subscriptions.push(subscription);
+    this.save();
+    return subscription;
+  }
+
+  /**
+   * Get subscriptions of one user, or of everyone when no user is given
+   */
+  getSubscriptions(userId = null) {
+    return this.subscriptions.filter(sub => userId === null || sub.userId === userId);
+  }
+
+  /**
+   * Remove one subscription of a user, returns whether it existed
+   */
+  removeSubscription(userId, id) {
+    const count = this.subscriptions.length;
+    this.subscriptions = this.subscriptions.filter(sub => !(sub.userId === userId && sub.id === id));
+    if (this.subscriptions.length === count) {
+      return false;
+    }
+    this.save();
+    return true;
+  }
+
+  /**
+   * Remove all subscriptions of a user, returns how many were removed
    */
-  isProcessed(messageId) {
-    return this.processedIds.has(messageId);
+  removeSubscriptions(userId) {
+    const count = this.subscriptions.length;
+    this.subscriptions = this.subscriptions.filter(sub => sub.userId !== userId);
+    if (this.subscriptions.length !== count) {
+      this.save();
+    }
+    return count - this.subscriptions.length;
   }
 
   /**
-   * Mark message ID as processed
+   * Add a delivery to the outbox, returns the stored entry
    */
-  markProcessed(messageId) {
-    this.processedIds.add(messageId);
+  addOutboxEntry(entry) {
+    const id = this.outbox.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+    const stored = { ...entry, id };
+    this.outbox.push(stored);
+    this.save();
+    return stored;
+  }
+
+  /**
+   * Get outbox entries, optionally by status and due before a timestamp (ms), oldest first
+   */
+  getOutboxEntries({ status = null, dueBefore = null } = {}) {
+    return this.outbox
+      .filter(e => (!status || e.status === status) && (dueBefore === null || e.nextAttemptAt <= dueBefore))
+      .sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Save the status, attempts, next attempt time and last error of an outbox entry
+   */
+  updateOutboxEntry(entry) {
+    const index = this.outbox.findIndex(e => e.id === entry.id);
+    if (index !== -1) {
+      this.outbox[index] = { ...entry };
+      this.save();
+    }
+  }
+
+  /**
+   * Remove an outbox entry (delivered or discarded)
+   */
+  removeOutboxEntry(id) {
+    this.outbox = this.outbox.filter(e => e.id !== id);
+    this.save();
+  }
+
+  /**
+   * Store a copy of a source message sent to a target chat, returns the stored copy
+   * Copy: { channel, messageId, chatId, target, messageIds, textMessageId, textKind, text, parseMode, sourceEditDate, createdAt }
+   */
+  addCopy(copy) {
+    const id = this.copies.reduce((max, c) => Math.max(max, c.id), 0) + 1;
+    const stored = { ...copy, id };
+    this.copies.push(stored);
+    this.save();
+    return stored;
+  }
+
+  /**
+   * Get the copies of a source message
+   */
+  getCopies(channel, messageId) {
+    return this.copies.filter(c => c.channel === channel && c.messageId === messageId);
+  }
+
+  /**
+   * Get copies sent since a timestamp (ms), oldest first
+   */
+  getCopiesSince(since = 0) {
+    return this.copies.filter(c => c.createdAt >= since).sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Save the text, parse mode and source edit date of a copy
+   */
+  updateCopy(copy) {
+    const index = this.copies.findIndex(c => c.id === copy.id);
+    if (index !== -1) {
+      this.copies[index] = { ...copy };
+      this.save();
+    }
+  }
+
+  /**
+   * Remove a copy (deleted, or its source was)
+   */
+  removeCopy(id) {
+    this.copies = this.copies.filter(c => c.id !== id);
+    this.save();
+  }
+
+  /**
+   * Remove copies sent before a timestamp (ms), they are no longer kept in sync
+   */
+  pruneCopies(before) {
+    const count = this.copies.length;
+    this.copies = this.copies.filter(c => c.createdAt >= before);
+    if (this.copies.length !== count) {
+      this.save();
+      logger.debug(`Pruned ${count - this.copies.length} copies past the sync window`);
+    }
+  }
+
+  /**
+   * Add a match to the next digest, returns the stored entry
+   * Entry: { channel, messageId, target, line, createdAt }
+   */
+  addDigestEntry(entry) {
+    const id = this.digest.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+    const stored = { ...entry, id };
+    this.digest.push(stored);
+    this.save();
+    return stored;
+  }
+
+  /**
+   * Get the entries waiting for a digest, oldest first
+   */
+  getDigestEntries() {
+    return [...this.digest].sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Remove digest entries that were sent
+   */
+  removeDigestEntries(ids) {
+    const remove = new Set(ids);
+    this.digest = this.digest.filter(e => !remove.has(e.id));
     this.save();
   }
 
@@ -81,18 +476,63 @@ class MessageStorage {
   }
 
   /**
-   * Clear old message IDs (optional cleanup, keep last 10000)
+   * Get the size of the storage file in bytes
    */
-  cleanup(maxSize = 10000) {
-    if (this.processedIds.size > maxSize) {
-      const idsArray = Array.from(this.processedIds);
-      // Keep only the most recent IDs
-      this.processedIds = new Set(idsArray.slice(-maxSize));
+  getSize() {
+    return existsSync(this.storagePath) ? statSync(this.storagePath).size : 0;
+  }
+
+  /**
+   * Remove processed IDs and jobs older than the retention period
+   * Also caps processed IDs at maxSize, keeping the most recent
+   */
+  cleanup() {
+    const cutoff = Date.now() - this.retentionMs;
+    const processedCount = this.processedIds.size;
+    const jobCount = this.jobs.length;
+
+    const recent = [...this.processedIds.entries()]
+      .filter(([, processedAt]) => processedAt >= cutoff)
+      .sort((a, b) => a[1] - b[1])
+      .slice(-this.maxSize);
+    this.processedIds = new Map(recent);
+    this.jobs = this.jobs.filter(job => job.savedAt >= cutoff);
+
+    if (this.processedIds.size !== processedCount || this.jobs.length !== jobCount) {
       this.save();
-      logger.info(`Cleaned up storage, kept ${this.processedIds.size} most recent message IDs`);
+      logger.info(
+        `Cleaned up storage, kept ${this.processedIds.size} processed message IDs and ${this.jobs.length} jobs`
+      );
     }
   }
+
+  /**
+   * Close storage (nothing to release for the JSON file)
+   */
+  close() {}
+}
+
+/**
+ * Create the configured storage backend
+ * @throws {Error} when the SQLite database can't be opened; the JSON file is only used when configured,
+ * after the import into SQLite its cursors and processed IDs are out of date
+ */
+export async function createStorage(options) {
+  const { backend, storagePath, sqlitePath, ...storageOptions } = options;
+
+  if (backend === 'json') {
+    return new MessageStorage(storagePath, storageOptions);
+  }
+
+  try {
+    const { default: SqliteStorage } = await import('./sqliteStorage.js');
+    return new SqliteStorage(sqlitePath, { ...storageOptions, jsonImportPath: storagePath });
+  } catch (error) {
+    throw new Error(
+      `Could not open SQLite storage ${sqlitePath}: ${error.message}. ` +
+      'Fix the database (or reinstall better-sqlite3), or set STORAGE_BACKEND=json to use the JSON file'
+    );
+  }
 }
 
 export default MessageStorage;
-